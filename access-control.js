@@ -0,0 +1,122 @@
+/**
+ * Access Control - Who is calling, for databases shared by several people
+ *
+ * Every memory has an owner (a user name) and the owner's namespace (team),
+ * and one of three visibility levels:
+ * - private: only the owner, and users its project is shared with
+ * - team: everyone in the owner's namespace
+ * - public: everyone using the database
+ * Only the owner, and users a project is shared with for writing, can change
+ * or delete a memory. Memories stored before ownership existed have no owner
+ * and stay open to everyone.
+ *
+ * The caller's identity comes from configuration (DURANDAL_USER,
+ * DURANDAL_NAMESPACE) or, over HTTP, from the user the bearer token belongs
+ * to. Request handlers run inside runAs(identity, ...), and MCPDatabaseClient
+ * reads currentIdentity() in every query, so the identity does not have to
+ * be passed through each call.
+ */
+
+const os = require('os');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { ValidationError, ConfigurationError } = require('./errors');
+
+const VISIBILITY_LEVELS = ['private', 'team', 'public'];
+const SHARE_PERMISSIONS = ['read', 'write'];
+const DEFAULT_NAMESPACE = 'default';
+
+// Background work (e.g. the expiry sweep) that must see every memory
+const SYSTEM_IDENTITY = Object.freeze({ user: null, namespace: null, visibility: null, system: true });
+
+const storage = new AsyncLocalStorage();
+
+function validateVisibility(visibility, field = 'visibility') {
+    if (!VISIBILITY_LEVELS.includes(visibility)) {
+        throw new ValidationError(`Invalid visibility: ${visibility}. Must be one of: ${VISIBILITY_LEVELS.join(', ')}`, field, visibility);
+    }
+    return visibility;
+}
+
+function localUser() {
+    try {
+        return os.userInfo().username;
+    } catch (error) {
+        return 'local';
+    }
+}
+
+/**
+ * The identity of this process: DURANDAL_USER (default: the OS user),
+ * DURANDAL_NAMESPACE and DURANDAL_DEFAULT_VISIBILITY for new memories
+ */
+function configuredIdentity(env = process.env) {
+    const visibility = env.DURANDAL_DEFAULT_VISIBILITY || 'private';
+    if (!VISIBILITY_LEVELS.includes(visibility)) {
+        throw new ConfigurationError(`DURANDAL_DEFAULT_VISIBILITY must be one of: ${VISIBILITY_LEVELS.join(', ')}`, 'DURANDAL_DEFAULT_VISIBILITY', visibility);
+    }
+
+    return {
+        user: env.DURANDAL_USER || localUser(),
+        namespace: env.DURANDAL_NAMESPACE || DEFAULT_NAMESPACE,
+        visibility
+    };
+}
+
+/**
+ * Reads the HTTP users file: { "<user>": { "token": "...", "namespace": "...", "visibility": "..." } }
+ * Returns Map(token -> identity)
+ */
+function loadTokenUsers(filePath) {
+    let users;
+    try {
+        users = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigurationError(`Cannot read the users file ${filePath}: ${error.message}`, 'MCP_HTTP_USERS', filePath);
+    }
+
+    const tokens = new Map();
+    for (const [user, entry] of Object.entries(users || {})) {
+        if (!entry || typeof entry.token !== 'string' || entry.token.length < 16) {
+            throw new ConfigurationError(`User ${user} in ${filePath} needs a token of at least 16 characters`, 'MCP_HTTP_USERS', user);
+        }
+        if (tokens.has(entry.token)) {
+            throw new ConfigurationError(`User ${user} in ${filePath} shares a token with another user`, 'MCP_HTTP_USERS', user);
+        }
+        if (entry.visibility !== undefined && !VISIBILITY_LEVELS.includes(entry.visibility)) {
+            throw new ConfigurationError(`User ${user} in ${filePath} has an invalid visibility: ${entry.visibility}`, 'MCP_HTTP_USERS', user);
+        }
+
+        tokens.set(entry.token, {
+            user,
+            namespace: entry.namespace || DEFAULT_NAMESPACE,
+            visibility: entry.visibility || 'private'
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Runs fn (and everything it awaits) as identity
+ */
+function runAs(identity, fn) {
+    return storage.run(identity, fn);
+}
+
+/**
+ * The identity of the current request, or null outside runAs
+ */
+function currentIdentity() {
+    return storage.getStore() || null;
+}
+
+module.exports = {
+    VISIBILITY_LEVELS,
+    SHARE_PERMISSIONS,
+    SYSTEM_IDENTITY,
+    validateVisibility,
+    configuredIdentity,
+    loadTokenUsers,
+    runAs,
+    currentIdentity
+};
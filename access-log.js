@@ -0,0 +1,241 @@
+/**
+ * Access Log - Persistent RAMR access tracking
+ *
+ * Every time a memory is stored, found by a search, served as context and
+ * so on, an access event is recorded. Events are buffered briefly and
+ * written to the access_log table in batches, so the frequency and recency
+ * that ranking, retention review and pattern analysis rely on survive a
+ * restart. A per-memory summary (count, searches, last access) is kept in
+ * memory so ranking never has to query the log.
+ *
+ * Retention limits keep the table small: events older than maxAgeDays are
+ * dropped, and only the newest maxPerMemory events of each memory are kept.
+ */
+
+const { DatabaseError } = require('./errors');
+
+const DEFAULT_MAX_AGE_DAYS = 90;
+const DEFAULT_MAX_PER_MEMORY = 100;
+const DEFAULT_FLUSH_INTERVAL = 1000;
+const PATTERN_THRESHOLD = 3;
+const RECENCY_HALF_LIFE_DAYS = 7;
+
+class AccessLog {
+    /**
+     * @param {Object} options
+     * @param {DatabaseAdapter} options.db - Provides logAccesses, getAccessSummary and pruneAccessLog
+     * @param {Object} options.logger - Durandal logger
+     * @param {number} options.maxAgeDays - Events older than this are pruned (default: 90)
+     * @param {number} options.maxPerMemory - Events kept per memory (default: 100)
+     * @param {number} options.flushInterval - Delay in ms before buffered events are written (default: 1000)
+     */
+    constructor(options) {
+        this.db = options.db;
+        this.logger = options.logger;
+        this.maxAgeDays = options.maxAgeDays || DEFAULT_MAX_AGE_DAYS;
+        this.maxPerMemory = options.maxPerMemory || DEFAULT_MAX_PER_MEMORY;
+        this.flushInterval = options.flushInterval || DEFAULT_FLUSH_INTERVAL;
+
+        // uid -> { count, searches, lastAccess }
+        this.summary = new Map();
+        this.pending = [];
+        this.timer = null;
+        this.flushing = null;
+        this.loaded = null;
+    }
+
+    /**
+     * Applies the retention limits, then loads the per-memory summary.
+     * Events recorded before this finishes are added on top.
+     */
+    load() {
+        if (!this.loaded) {
+            this.loaded = (async () => {
+                await this.db.pruneAccessLog({ maxAgeDays: this.maxAgeDays, maxPerMemory: this.maxPerMemory });
+
+                const rows = await this.db.getAccessSummary();
+                for (const row of rows) {
+                    const entry = this.entry(row.uid);
+                    entry.count = Math.min(this.maxPerMemory, entry.count + row.count);
+                    entry.searches += row.searches;
+                    entry.lastAccess = Math.max(entry.lastAccess || 0, row.lastAccess);
+                }
+
+                this.logger.debug('Access log loaded', { memories: rows.length });
+            })().catch(error => {
+                this.logger.warn('Failed to load access log', { error: error.message });
+            });
+        }
+        return this.loaded;
+    }
+
+    entry(uid) {
+        if (!this.summary.has(uid)) {
+            this.summary.set(uid, { count: 0, searches: 0, lastAccess: null });
+        }
+        return this.summary.get(uid);
+    }
+
+    record(uid, action) {
+        const event = { uid, action, timestamp: Date.now() };
+        this.apply(event);
+        this.pending.push(event);
+        this.schedule();
+    }
+
+    apply(event) {
+        const entry = this.entry(event.uid);
+        entry.count = Math.min(this.maxPerMemory, entry.count + 1);
+        if (event.action === 'search') entry.searches++;
+        entry.lastAccess = event.timestamp;
+    }
+
+    /**
+     * Drops a memory's summary and buffered events (its stored events are
+     * removed along with the memory)
+     */
+    forget(uid) {
+        this.summary.delete(uid);
+        this.pending = this.pending.filter(event => event.uid !== uid);
+    }
+
+    /**
+     * { count, searches, lastAccess } for a memory, or null if never accessed
+     */
+    get(uid) {
+        return this.summary.get(uid) || null;
+    }
+
+    /**
+     * Accesses per memory, as uid -> count
+     */
+    counts() {
+        const counts = {};
+        for (const [uid, entry] of this.summary) {
+            counts[uid] = entry.count;
+        }
+        return counts;
+    }
+
+    /**
+     * 0-1 access score: frequency (saturating at 10 accesses), halved for
+     * every week since the last access
+     */
+    score(uid, now = Date.now()) {
+        const entry = this.summary.get(uid);
+        if (!entry || !entry.lastAccess) {
+            return 0;
+        }
+        const frequency = Math.min(1, entry.count / 10);
+        const idleDays = Math.max(0, now - entry.lastAccess) / 86400000;
+        return frequency * Math.pow(0.5, idleDays / RECENCY_HALF_LIFE_DAYS);
+    }
+
+    totals() {
+        let events = 0;
+        let searches = 0;
+        for (const entry of this.summary.values()) {
+            events += entry.count;
+            searches += entry.searches;
+        }
+        return { events, searches };
+    }
+
+    /**
+     * Frequently accessed memories (more than PATTERN_THRESHOLD events),
+     * hottest first by access score; include (uid => boolean) limits the
+     * analysis to some memories
+     */
+    analyze(now = Date.now(), include = null) {
+        const entries = [...this.summary.entries()].filter(([uid]) => !include || include(uid));
+        const frequent = entries
+            .filter(([, entry]) => entry.count > PATTERN_THRESHOLD)
+            .map(([uid, entry]) => ({ uid, ...entry, score: this.score(uid, now) }))
+            .sort((a, b) => b.score - a.score || b.count - a.count);
+
+        return {
+            tracked: entries.length,
+            frequent
+        };
+    }
+
+    /**
+     * Writes buffered events to the access_log table
+     */
+    async flush() {
+        if (this.flushing) {
+            return await this.flushing;
+        }
+
+        this.flushing = (async () => {
+            await this.load();
+
+            const events = this.pending;
+            this.pending = [];
+            if (events.length === 0) {
+                return { written: 0 };
+            }
+
+            const result = await this.db.logAccesses(events);
+            if (!result.success) {
+                this.logger.warn('Failed to write access log', { events: events.length, error: result.error });
+                return { written: 0 };
+            }
+            return { written: events.length };
+        })();
+
+        try {
+            return await this.flushing;
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    /**
+     * Flushes, applies the retention limits and reloads the summary
+     * Returns { deleted }
+     */
+    async prune() {
+        await this.flush();
+
+        const result = await this.db.pruneAccessLog({ maxAgeDays: this.maxAgeDays, maxPerMemory: this.maxPerMemory });
+        if (!result.success) {
+            throw new DatabaseError('Failed to prune access log', 'delete', new Error(result.error));
+        }
+
+        const rows = await this.db.getAccessSummary();
+        this.summary = new Map(rows.map(row => [row.uid, {
+            count: row.count,
+            searches: row.searches,
+            lastAccess: row.lastAccess
+        }]));
+        this.pending.forEach(event => this.apply(event));
+
+        return { deleted: result.deleted };
+    }
+
+    schedule() {
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.flush().catch(error => {
+                    this.logger.warn('Access log flush failed', { error: error.message });
+                });
+            }, this.flushInterval);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Cancels the scheduled flush and writes what is buffered
+     */
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.flush();
+    }
+}
+
+AccessLog.PATTERN_THRESHOLD = PATTERN_THRESHOLD;
+
+module.exports = AccessLog;
@@ -0,0 +1,143 @@
+/**
+ * Context Budget - Packs memories into a token budget for get_context
+ *
+ * Memories are taken in priority order: pinned ones, then high-importance
+ * ones, then the rest ranked by recency, by how often they have been
+ * accessed and (when there is a query) by relevance. Each memory goes in whole if it is short, or summarised to its
+ * opening sentences if it is long or no longer fits whole. Whatever does not
+ * fit is reported back so the caller can say what was left out.
+ *
+ * Token counts are estimates (about 4 characters per token), the same
+ * estimate SimpleContextManager uses.
+ */
+
+const HIGH_IMPORTANCE = 0.8;
+const DEFAULT_LONG_ITEM_TOKENS = 150;
+const RECENCY_HALF_LIFE_DAYS = 7;
+
+class ContextBudget {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxTokens - Tokens available for memory lines
+     * @param {number} options.longItemTokens - Memories longer than this are summarised (default: 150)
+     */
+    constructor(options = {}) {
+        this.maxTokens = options.maxTokens;
+        this.longItemTokens = options.longItemTokens || DEFAULT_LONG_ITEM_TOKENS;
+    }
+
+    static estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    /**
+     * SQLite CURRENT_TIMESTAMP values ("YYYY-MM-DD HH:MM:SS") are UTC
+     */
+    static parseTimestamp(value) {
+        const text = String(value || '');
+        return Date.parse(/^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+    }
+
+    /**
+     * 0 = pinned, 1 = high importance, 2 = everything else
+     */
+    static tier(memory) {
+        if (memory.metadata.pinned === true) return 0;
+        if ((memory.metadata.importance || 0) >= HIGH_IMPORTANCE) return 1;
+        return 2;
+    }
+
+    /**
+     * Orders memories for packing. relevance maps uid -> 0..1 (query match),
+     * frequency maps uid -> 0..1 (access score); with neither, recency alone
+     * ranks the last tier.
+     */
+    rank(memories, { relevance = new Map(), frequency = new Map(), now = Date.now() } = {}) {
+        const recency = (memory) => {
+            const created = ContextBudget.parseTimestamp(memory.created_at);
+            const ageDays = Number.isNaN(created) ? 0 : Math.max(0, now - created) / 86400000;
+            return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+        };
+        const base = (memory) => relevance.size > 0
+            ? 0.5 * recency(memory) + 0.5 * (relevance.get(memory.uid) || 0)
+            : recency(memory);
+        const score = (memory) => frequency.size > 0
+            ? 0.8 * base(memory) + 0.2 * (frequency.get(memory.uid) || 0)
+            : base(memory);
+
+        return memories
+            .map(memory => ({ memory, tier: ContextBudget.tier(memory), score: score(memory) }))
+            .sort((a, b) =>
+                a.tier - b.tier ||
+                (a.tier < 2 ? (b.memory.metadata.importance || 0) - (a.memory.metadata.importance || 0) : 0) ||
+                b.score - a.score)
+            .map(entry => entry.memory);
+    }
+
+    /**
+     * Shortens content to its opening sentences (or words) within maxTokens
+     */
+    summarize(content, maxTokens) {
+        const maxChars = Math.max(0, maxTokens * 4 - 2);
+        const text = content.replace(/\s+/g, ' ').trim();
+        if (text.length <= maxChars) {
+            return text;
+        }
+
+        let summary = '';
+        for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+            if ((summary ? summary.length + 1 : 0) + sentence.length > maxChars) break;
+            summary += (summary ? ' ' : '') + sentence;
+        }
+        if (!summary) {
+            summary = text.slice(0, maxChars).replace(/\s+\S*$/, '');
+        }
+        return `${summary} …`;
+    }
+
+    /**
+     * Packs ranked memories; format(memory, content) builds the line for one
+     *
+     * Returns { included: [{ memory, content, text, tokens, summarized }],
+     *           omitted: [{ memory, tokens }], usedTokens }
+     */
+    pack(memories, format) {
+        const included = [];
+        const omitted = [];
+        let usedTokens = 0;
+
+        for (const memory of memories) {
+            const remaining = this.maxTokens - usedTokens;
+            let content = memory.content;
+            let text = format(memory, content);
+            let tokens = ContextBudget.estimateTokens(text);
+            let summarized = false;
+
+            if (tokens > this.longItemTokens || tokens > remaining) {
+                const overhead = ContextBudget.estimateTokens(format(memory, ''));
+                const summaryTokens = Math.min(this.longItemTokens, remaining) - overhead;
+
+                // Below ~10 tokens a summary says nothing useful
+                if (summaryTokens >= 10) {
+                    content = this.summarize(memory.content, summaryTokens);
+                    summarized = content.endsWith(' …');
+                    text = format(memory, content);
+                    tokens = ContextBudget.estimateTokens(text);
+                }
+            }
+
+            if (tokens <= remaining) {
+                included.push({ memory, content, text, tokens, summarized });
+                usedTokens += tokens;
+            } else {
+                omitted.push({ memory, tokens: ContextBudget.estimateTokens(format(memory, memory.content)) });
+            }
+        }
+
+        return { included, omitted, usedTokens };
+    }
+}
+
+ContextBudget.HIGH_IMPORTANCE = HIGH_IMPORTANCE;
+
+module.exports = ContextBudget;
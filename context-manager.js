@@ -1,4 +1,5 @@
 const RAMR = require('./ramr');
+const ContextBudget = require('./context-budget');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -118,7 +119,7 @@ class SimpleContextManager {
     }
 
     estimateTokens(text) {
-        return Math.ceil((text || '').length / 4);
+        return ContextBudget.estimateTokens(text);
     }
 
     async cacheContext(key, context) {
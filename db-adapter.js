@@ -1,14 +1,46 @@
 const MCPDatabaseClient = require('./mcp-db-client');
+const { ConfigurationError } = require('./errors');
+
+const DATABASE_TYPES = ['sqlite', 'postgresql'];
+
+/**
+ * The storage backend: DATABASE_TYPE (sqlite or postgresql), else
+ * postgresql when DATABASE_URL is a postgres:// URL, else sqlite
+ */
+function databaseType(env = process.env) {
+    if (env.DATABASE_TYPE) {
+        const type = env.DATABASE_TYPE.toLowerCase() === 'postgres' ? 'postgresql' : env.DATABASE_TYPE.toLowerCase();
+        if (!DATABASE_TYPES.includes(type)) {
+            throw new ConfigurationError(`DATABASE_TYPE must be one of: ${DATABASE_TYPES.join(', ')}`, 'DATABASE_TYPE', env.DATABASE_TYPE);
+        }
+        return type;
+    }
+    return /^postgres(ql)?:\/\//i.test(env.DATABASE_URL || '') ? 'postgresql' : 'sqlite';
+}
+
+/**
+ * The database client for the configured backend (MCPDatabaseClient for
+ * SQLite, MCPPostgresClient for PostgreSQL)
+ */
+function createDatabaseClient(options = {}, env = process.env) {
+    if (databaseType(env) === 'postgresql') {
+        const MCPPostgresClient = require('./mcp-pg-client');
+        return new MCPPostgresClient(options);
+    }
+    return new MCPDatabaseClient(options);
+}
 
 /**
  * Database Adapter - Clean implementation without duplication
  *
  * Provides a unified interface for database operations with caching
- * for the Durandal MCP server and memory system.
+ * for the Durandal MCP server and memory system. The legacy project,
+ * session and message queries use ? placeholders and standard SQL, so
+ * they run on either backend.
  */
 class DatabaseAdapter {
     constructor() {
-        this.db = new MCPDatabaseClient();
+        this.db = createDatabaseClient();
         this.projectCache = new Map();
         this.sessionCache = new Map();
     }
@@ -24,8 +56,8 @@ class DatabaseAdapter {
      * Store a memory directly (for MCP server)
      * Delegates to MCPDatabaseClient's storeMemory method
      */
-    async storeMemory(content, metadata = {}) {
-        return await this.db.storeMemory(content, metadata);
+    async storeMemory(content, metadata = {}, options = {}) {
+        return await this.db.storeMemory(content, metadata, options);
     }
 
     /**
@@ -36,6 +68,182 @@ class DatabaseAdapter {
         return await this.db.searchMemories(query, options, limit);
     }
 
+    /**
+     * Search one page of memories, with the total number of matches
+     * Delegates to MCPDatabaseClient's searchMemoriesPage method
+     */
+    async searchMemoriesPage(query, options = {}) {
+        return await this.db.searchMemoriesPage(query, options);
+    }
+
+    /**
+     * List one page of memories matching filters, with the total
+     * Delegates to MCPDatabaseClient's listMemories method
+     */
+    async listMemories(options = {}) {
+        return await this.db.listMemories(options);
+    }
+
+    /**
+     * Get a single memory by its database ID
+     * Delegates to MCPDatabaseClient's getMemoryById method
+     */
+    async getMemoryById(id) {
+        return await this.db.getMemoryById(id);
+    }
+
+    /**
+     * Update a memory's content and/or merge new metadata into it
+     * Delegates to MCPDatabaseClient's updateMemory method
+     */
+    async updateMemory(id, updates = {}) {
+        return await this.db.updateMemory(id, updates);
+    }
+
+    /**
+     * Get the earlier versions of a memory
+     * Delegates to MCPDatabaseClient's getMemoryVersions method
+     */
+    async getMemoryVersions(id) {
+        return await this.db.getMemoryVersions(id);
+    }
+
+    /**
+     * Revert a memory to an earlier version
+     * Delegates to MCPDatabaseClient's revertMemory method
+     */
+    async revertMemory(id, version) {
+        return await this.db.revertMemory(id, version);
+    }
+
+    /**
+     * Delete a memory permanently
+     * Delegates to MCPDatabaseClient's deleteMemory method
+     */
+    async deleteMemory(id) {
+        return await this.db.deleteMemory(id);
+    }
+
+    /**
+     * Get memories old enough for a retention review
+     * Delegates to MCPDatabaseClient's getRetentionCandidates method
+     */
+    async getRetentionCandidates(olderThanDays) {
+        return await this.db.getRetentionCandidates(olderThanDays);
+    }
+
+    /**
+     * Move low-value memories into the archive
+     * Delegates to MCPDatabaseClient's archiveMemories method
+     */
+    async archiveMemories(entries) {
+        return await this.db.archiveMemories(entries);
+    }
+
+    /**
+     * Restore an archived memory to the active memories table
+     * Delegates to MCPDatabaseClient's restoreMemory method
+     */
+    async restoreMemory(id, metadataUpdates = {}) {
+        return await this.db.restoreMemory(id, metadataUpdates);
+    }
+
+    /**
+     * Get a single archived memory by ID
+     * Delegates to MCPDatabaseClient's getArchivedMemoryById method
+     */
+    async getArchivedMemoryById(id) {
+        return await this.db.getArchivedMemoryById(id);
+    }
+
+    /**
+     * Search archived memories
+     * Delegates to MCPDatabaseClient's searchArchivedMemories method
+     */
+    async searchArchivedMemories(query, options = {}) {
+        return await this.db.searchArchivedMemories(query, options);
+    }
+
+    /**
+     * Find an existing memory duplicating the given content
+     * Delegates to MCPDatabaseClient's findDuplicateMemory method
+     */
+    async findDuplicateMemory(content, options = {}) {
+        return await this.db.findDuplicateMemory(content, options);
+    }
+
+    /**
+     * Create a typed link between two memories
+     * Delegates to MCPDatabaseClient's linkMemories method
+     */
+    async linkMemories(sourceId, targetId, linkType, options = {}) {
+        return await this.db.linkMemories(sourceId, targetId, linkType, options);
+    }
+
+    /**
+     * Get linked memories for a set of memory IDs
+     * Delegates to MCPDatabaseClient's getLinkedMemories method
+     */
+    async getLinkedMemories(ids) {
+        return await this.db.getLinkedMemories(ids);
+    }
+
+    /**
+     * Share the caller's memories of a project with named users
+     * Delegates to MCPDatabaseClient's shareProject method
+     */
+    async shareProject(project, users, permission) {
+        return await this.db.shareProject(project, users, permission);
+    }
+
+    /**
+     * Stop sharing a project with named users
+     * Delegates to MCPDatabaseClient's unshareProject method
+     */
+    async unshareProject(project, users) {
+        return await this.db.unshareProject(project, users);
+    }
+
+    /**
+     * Get the users the caller shares projects with
+     * Delegates to MCPDatabaseClient's getProjectShares method
+     */
+    async getProjectShares(project) {
+        return await this.db.getProjectShares(project);
+    }
+
+    /**
+     * Get memories whose expires_at has passed
+     * Delegates to MCPDatabaseClient's getExpiredMemories method
+     */
+    async getExpiredMemories(limit) {
+        return await this.db.getExpiredMemories(limit);
+    }
+
+    /**
+     * Append RAMR access events
+     * Delegates to MCPDatabaseClient's logAccesses method
+     */
+    async logAccesses(events) {
+        return await this.db.logAccesses(events);
+    }
+
+    /**
+     * Get per-memory access counts and last access times
+     * Delegates to MCPDatabaseClient's getAccessSummary method
+     */
+    async getAccessSummary() {
+        return await this.db.getAccessSummary();
+    }
+
+    /**
+     * Apply the access log retention limits
+     * Delegates to MCPDatabaseClient's pruneAccessLog method
+     */
+    async pruneAccessLog(limits) {
+        return await this.db.pruneAccessLog(limits);
+    }
+
     /**
      * Get project by name with caching
      */
@@ -46,7 +254,7 @@ class DatabaseAdapter {
 
         try {
             const result = await this.db.query(
-                'SELECT * FROM projects WHERE name = $1 LIMIT 1',
+                'SELECT * FROM projects WHERE name = ? LIMIT 1',
                 [projectName]
             );
 
@@ -69,7 +277,7 @@ class DatabaseAdapter {
     async createProject(projectName, projectRoot = process.cwd()) {
         try {
             const result = await this.db.query(
-                'INSERT INTO projects (name, path, created_at) VALUES ($1, $2, NOW()) RETURNING *',
+                'INSERT INTO projects (name, path, created_at) VALUES (?, ?, CURRENT_TIMESTAMP) RETURNING *',
                 [projectName, projectRoot]
             );
 
@@ -94,7 +302,7 @@ class DatabaseAdapter {
 
         try {
             const result = await this.db.query(
-                'SELECT * FROM conversation_sessions WHERE project_id = $1 AND session_name = $2 LIMIT 1',
+                'SELECT * FROM conversation_sessions WHERE project_id = ? AND session_name = ? LIMIT 1',
                 [projectId, sessionName]
             );
 
@@ -117,7 +325,7 @@ class DatabaseAdapter {
     async createSession(projectId, sessionName) {
         try {
             const result = await this.db.query(
-                'INSERT INTO conversation_sessions (project_id, session_name, created_at) VALUES ($1, $2, NOW()) RETURNING *',
+                'INSERT INTO conversation_sessions (project_id, session_name, created_at) VALUES (?, ?, CURRENT_TIMESTAMP) RETURNING *',
                 [projectId, sessionName]
             );
 
@@ -138,7 +346,7 @@ class DatabaseAdapter {
     async saveMessage(sessionId, role, content) {
         try {
             await this.db.query(
-                'INSERT INTO conversation_messages (session_id, role, content, timestamp) VALUES ($1, $2, $3, NOW())',
+                'INSERT INTO conversation_messages (session_id, role, content, timestamp) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
                 [sessionId, role, content]
             );
             return true;
@@ -154,7 +362,7 @@ class DatabaseAdapter {
     async storeMessage(sessionId, role, content, metadata = {}) {
         try {
             const result = await this.db.query(
-                'INSERT INTO conversation_messages (session_id, role, content, metadata, timestamp) VALUES ($1, $2, $3, $4, NOW()) RETURNING id',
+                'INSERT INTO conversation_messages (session_id, role, content, metadata, timestamp) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP) RETURNING id',
                 [sessionId, role, content, JSON.stringify(metadata)]
             );
             return { success: true, id: result.rows[0]?.id };
@@ -170,7 +378,7 @@ class DatabaseAdapter {
     async getConversationHistory(sessionId, limit = 6) {
         try {
             const result = await this.db.query(
-                'SELECT role, content FROM conversation_messages WHERE session_id = $1 ORDER BY timestamp DESC LIMIT $2',
+                'SELECT role, content FROM conversation_messages WHERE session_id = ? ORDER BY timestamp DESC LIMIT ?',
                 [sessionId, limit]
             );
 
@@ -187,8 +395,8 @@ class DatabaseAdapter {
     async searchArtifacts(query, limit = 5) {
         try {
             const result = await this.db.query(
-                'SELECT name, content, metadata FROM knowledge_artifacts WHERE content ILIKE $1 OR name ILIKE $1 ORDER BY created_at DESC LIMIT $2',
-                [`%${query}%`, limit]
+                'SELECT name, content, metadata FROM knowledge_artifacts WHERE LOWER(content) LIKE LOWER(?) OR LOWER(name) LIKE LOWER(?) ORDER BY created_at DESC LIMIT ?',
+                [`%${query}%`, `%${query}%`, limit]
             );
 
             return result.rows.map(row => ({
@@ -208,7 +416,7 @@ class DatabaseAdapter {
     async searchMessages(query, options = {}) {
         try {
             const { project, limit = 10 } = options;
-            let queryStr = 'SELECT id, content, metadata, timestamp FROM conversation_messages WHERE content ILIKE $1';
+            let queryStr = 'SELECT id, content, metadata, timestamp FROM conversation_messages WHERE LOWER(content) LIKE LOWER(?)';
             let queryParams = [`%${query}%`];
 
             // TODO: Implement proper project filtering with joins
@@ -217,7 +425,7 @@ class DatabaseAdapter {
                 console.debug('Project filtering not yet implemented in searchMessages');
             }
 
-            queryStr += ' ORDER BY timestamp DESC LIMIT $2';
+            queryStr += ' ORDER BY timestamp DESC LIMIT ?';
             queryParams.push(limit);
 
             const result = await this.db.query(queryStr, queryParams);
@@ -242,7 +450,7 @@ class DatabaseAdapter {
             // TODO: Implement proper project/session filtering
             // For now, returns recent messages across all sessions
             const result = await this.db.query(
-                'SELECT id, content, metadata, timestamp FROM conversation_messages ORDER BY timestamp DESC LIMIT $1',
+                'SELECT id, content, metadata, timestamp FROM conversation_messages ORDER BY timestamp DESC LIMIT ?',
                 [limit]
             );
 
@@ -264,7 +472,7 @@ class DatabaseAdapter {
     async getMessageById(id) {
         try {
             const result = await this.db.query(
-                'SELECT id, content, metadata, timestamp FROM conversation_messages WHERE id = $1',
+                'SELECT id, content, metadata, timestamp FROM conversation_messages WHERE id = ?',
                 [id]
             );
 
@@ -302,4 +510,8 @@ class DatabaseAdapter {
     }
 }
 
+DatabaseAdapter.DATABASE_TYPES = DATABASE_TYPES;
+DatabaseAdapter.databaseType = databaseType;
+DatabaseAdapter.createDatabaseClient = createDatabaseClient;
+
 module.exports = DatabaseAdapter;
\ No newline at end of file
@@ -4,18 +4,45 @@
  * Database Discovery Tool for Durandal MCP Server
  *
  * Searches the entire system for Durandal databases to prevent data loss
- * Run with: node db-discovery.js
+ * Run with: node db-discovery.js [--json] [--roots DIR:DIR] [--depth N] [--watch]
+ *
+ * Each database found is described with its schema version, last write and
+ * a fingerprint of its memories, so copies of the same database are grouped.
+ * A search of the default roots is saved to ~/.durandal-mcp/databases.json,
+ * which MCPDatabaseClient.resolveDatabasePath reads instead of searching the
+ * disk again; --watch keeps that registry up to date (whatever the roots).
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
 
+const DEFAULT_MAX_DEPTH = 3;
+const DEFAULT_WATCH_INTERVAL = 300; // seconds
+const REGISTRY_VERSION = 1;
+
 class DatabaseDiscovery {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.roots - Directories to search (default: home, the working
+     *   directory and its parents, and the usual install and temp locations)
+     * @param {number} options.maxDepth - Directory levels searched below each root (default: 3)
+     * @param {boolean} options.json - discover() prints JSON instead of text
+     * @param {string|null} options.registry - File the results are saved to (default:
+     *   ~/.durandal-mcp/databases.json for the default roots, none for custom roots)
+     */
+    constructor(options = {}) {
         this.foundDatabases = [];
-        this.searchPaths = this.getSearchPaths();
+        this.searchPaths = options.roots
+            ? [...new Set(options.roots.map(root => path.resolve(root)))].filter(root => fs.existsSync(root))
+            : this.getSearchPaths();
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : DEFAULT_MAX_DEPTH;
+        this.json = !!options.json;
+        this.registry = options.registry !== undefined
+            ? options.registry
+            : (options.roots ? null : DatabaseDiscovery.registryPath());
         this.dbPatterns = [
             'durandal-mcp-memory.db',
             'durandal-memory.db',
@@ -26,6 +53,46 @@ class DatabaseDiscovery {
         ];
     }
 
+    static registryPath(env = process.env) {
+        const home = env.HOME || env.USERPROFILE || os.homedir();
+        return path.join(home, '.durandal-mcp', 'databases.json');
+    }
+
+    /**
+     * Reads a registry written by saveRegistry
+     * Returns { updated_at, roots, max_depth, databases } or null if there is none
+     */
+    static loadRegistry(file = DatabaseDiscovery.registryPath()) {
+        try {
+            const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return registry.version === REGISTRY_VERSION && Array.isArray(registry.databases) ? registry : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Options from command line arguments (--roots, --depth, --json)
+     */
+    static optionsFromArgs(args) {
+        const option = (name) => {
+            const index = args.indexOf(name);
+            return index > -1 ? args[index + 1] : undefined;
+        };
+
+        const options = { json: args.includes('--json') };
+        if (option('--roots')) {
+            options.roots = option('--roots').split(path.delimiter).filter(Boolean);
+        }
+        if (option('--depth') !== undefined) {
+            options.maxDepth = Number(option('--depth'));
+            if (!Number.isInteger(options.maxDepth) || options.maxDepth < 0) {
+                throw new Error(`--depth must be a whole number of directory levels, not ${option('--depth')}`);
+            }
+        }
+        return options;
+    }
+
     getSearchPaths() {
         const paths = [];
         const homeDir = os.homedir();
@@ -107,7 +174,7 @@ class DatabaseDiscovery {
         });
     }
 
-    searchDirectory(dir, depth = 0, maxDepth = 3) {
+    searchDirectory(dir, depth = 0, maxDepth = this.maxDepth) {
         if (depth > maxDepth) return;
 
         try {
@@ -235,23 +302,94 @@ class DatabaseDiscovery {
         }
     }
 
-    async discover() {
-        console.log('========================================');
-        console.log('Durandal Database Discovery Tool v1.0');
-        console.log('========================================\n');
+    /**
+     * Describes a database for the report and the registry: what
+     * verifyDatabase finds plus its schema version (0 before versioned
+     * schemas), last write (the database or its WAL file, whichever is
+     * newer) and a fingerprint of its memories, equal for copies
+     */
+    async inspectDatabase(db) {
+        const sqlite3 = require('sqlite3');
+        const walPath = `${db.path}-wal`;
+        const lastWrite = fs.existsSync(walPath)
+            ? new Date(Math.max(db.modified.getTime(), fs.statSync(walPath).mtime.getTime()))
+            : db.modified;
+        const entry = {
+            path: db.path,
+            size: db.size,
+            modified: db.modified.toISOString(),
+            last_write: lastWrite.toISOString(),
+            valid: false,
+            durandal: false,
+            legacy: false,
+            memories: null,
+            schema_version: null,
+            fingerprint: null
+        };
+
+        let handle;
+        try {
+            handle = await new Promise((resolve, reject) => {
+                const opened = new sqlite3.Database(db.path, sqlite3.OPEN_READONLY, (err) => err ? reject(err) : resolve(opened));
+            });
+        } catch (error) {
+            return { ...entry, error: error.message };
+        }
+        const all = (sql) => new Promise((resolve, reject) => {
+            handle.all(sql, (err, rows) => err ? reject(err) : resolve(rows));
+        });
 
-        console.log('Searching for databases in:');
-        this.searchPaths.forEach(p => console.log(`  - ${p}`));
-        console.log('\nThis may take a few moments...\n');
+        try {
+            const tables = (await all('SELECT name FROM sqlite_master WHERE type = \'table\'')).map(row => row.name);
+            entry.valid = true;
+
+            if (!tables.includes('memories')) {
+                entry.legacy = entry.durandal = ['projects', 'conversation_sessions', 'conversation_messages'].some(name => tables.includes(name));
+                return entry;
+            }
+
+            entry.durandal = true;
+            entry.schema_version = tables.includes('schema_migrations')
+                ? (await all('SELECT MAX(version) AS version FROM schema_migrations'))[0].version || 0
+                : 0;
+
+            // Hash of the sorted hashes of every memory's content: the same
+            // for any copy of the database, whatever order its rows are in
+            const hashes = [];
+            await new Promise((resolve, reject) => {
+                handle.each('SELECT content FROM memories', (err, row) => {
+                    if (!err) {
+                        hashes.push(crypto.createHash('sha256').update(String(row.content)).digest('hex'));
+                    }
+                }, (err) => err ? reject(err) : resolve());
+            });
+            entry.memories = hashes.length;
+            if (hashes.length > 0) {
+                entry.fingerprint = crypto.createHash('sha256').update(hashes.sort().join('\n')).digest('hex').slice(0, 16);
+            }
+            return entry;
+        } catch (error) {
+            return { ...entry, error: error.message };
+        } finally {
+            handle.close();
+        }
+    }
 
-        // Search each path
+    /**
+     * Searches the roots for database files (into foundDatabases)
+     */
+    scan() {
+        this.foundDatabases = [];
+
+        // Search each path (progress goes to stderr, so it stays out of piped output)
+        const progress = !this.json && process.stderr.isTTY;
         for (const searchPath of this.searchPaths) {
-            process.stdout.write(`Searching ${searchPath}...\\r`);
+            if (progress) process.stderr.write(`Searching ${searchPath}...\r`);
             this.searchDirectory(searchPath);
         }
 
         // Clear the line
-        process.stdout.write('                                                  \\r');
+        if (progress) process.stderr.write(' '.repeat(50) + '\r');
 
         // Remove duplicates
         const seen = new Set();
@@ -265,31 +403,117 @@ class DatabaseDiscovery {
         // Sort by size (largest first)
         this.foundDatabases.sort((a, b) => b.size - a.size);
 
+        return this.foundDatabases;
+    }
+
+    /**
+     * Searches, inspects every database found and saves the registry
+     * Returns { searched, max_depth, databases, copies, recommended }
+     */
+    async find() {
+        this.scan();
+
+        const databases = [];
+        for (const db of this.foundDatabases) {
+            databases.push(await this.inspectDatabase(db));
+        }
+
+        // Copies: databases holding exactly the same memories, newest first
+        const groups = new Map();
+        for (const entry of databases.filter(db => db.fingerprint)) {
+            if (!groups.has(entry.fingerprint)) groups.set(entry.fingerprint, []);
+            groups.get(entry.fingerprint).push(entry);
+        }
+        const copies = [...groups.entries()]
+            .filter(([, entries]) => entries.length > 1)
+            .map(([fingerprint, entries]) => ({
+                fingerprint,
+                memories: entries[0].memories,
+                databases: entries.sort((a, b) => b.last_write.localeCompare(a.last_write)).map(entry => entry.path)
+            }));
+
+        // The database with the most memories, then the largest
+        const recommended = databases
+            .filter(db => db.durandal)
+            .sort((a, b) => (b.memories || 0) - (a.memories || 0) || b.size - a.size)[0];
+
+        const result = {
+            searched: this.searchPaths,
+            max_depth: this.maxDepth,
+            databases,
+            copies,
+            recommended: recommended ? recommended.path : null
+        };
+        if (this.registry) {
+            this.saveRegistry(result);
+        }
+        return result;
+    }
+
+    /**
+     * Writes the results of find() to the registry file
+     */
+    saveRegistry(result) {
+        fs.mkdirSync(path.dirname(this.registry), { recursive: true });
+        const registry = {
+            version: REGISTRY_VERSION,
+            updated_at: new Date().toISOString(),
+            roots: result.searched,
+            max_depth: result.max_depth,
+            databases: result.databases,
+            copies: result.copies
+        };
+
+        // Written in one go so resolveDatabasePath never reads half a file
+        const partial = `${this.registry}.${process.pid}.tmp`;
+        fs.writeFileSync(partial, `${JSON.stringify(registry, null, 2)}\n`);
+        fs.renameSync(partial, this.registry);
+    }
+
+    async discover() {
+        if (this.json) {
+            const result = await this.find();
+            console.log(JSON.stringify(result, null, 2));
+            return this.foundDatabases;
+        }
+
+        console.log('========================================');
+        console.log('Durandal Database Discovery Tool v1.0');
+        console.log('========================================\n');
+
+        console.log(`Searching for databases in (${this.maxDepth} levels deep):`);
+        this.searchPaths.forEach(p => console.log(`  - ${p}`));
+        console.log('\nThis may take a few moments...\n');
+
+        const result = await this.find();
+
         // Display results
-        if (this.foundDatabases.length === 0) {
+        if (result.databases.length === 0) {
             console.log('❌ No Durandal databases found on this system.');
-            console.log('\\nA new database will be created at:');
+            console.log('\nA new database will be created at:');
             console.log(`  ${path.join(os.homedir(), '.durandal-mcp', 'durandal-mcp-memory.db')}`);
         } else {
-            console.log(`✅ Found ${this.foundDatabases.length} potential database(s):\\n`);
-
-            // Verify each database
-            for (const db of this.foundDatabases) {
-                const verification = await this.verifyDatabase(db.path);
+            console.log(`✅ Found ${result.databases.length} potential database(s):\n`);
 
+            for (const db of result.databases) {
                 console.log(`📁 ${db.path}`);
                 console.log(`   Size: ${(db.size / 1024).toFixed(1)} KB`);
-                console.log(`   Modified: ${db.modified.toLocaleString()}`);
+                console.log(`   Last write: ${new Date(db.last_write).toLocaleString()}`);
 
-                if (verification.valid && verification.hasDurandalSchema) {
+                if (db.valid && db.durandal) {
                     console.log(`   Status: ✅ Valid Durandal database`);
-                    if (verification.recordCount !== undefined) {
-                        console.log(`   Records: ${verification.recordCount} memories`);
+                    if (db.memories !== null) {
+                        console.log(`   Records: ${db.memories} memories`);
                     }
-                    if (verification.isLegacy) {
+                    if (db.legacy) {
                         console.log(`   Type: Legacy schema (will be migrated)`);
+                    } else if (db.schema_version !== null) {
+                        console.log(`   Schema: ${db.schema_version === 0 ? 'before versioned schemas (upgraded on first use)' : `version ${db.schema_version}`}`);
                     }
-                } else if (verification.valid) {
+                    if (db.fingerprint) {
+                        console.log(`   Fingerprint: ${db.fingerprint}`);
+                    }
+                } else if (db.valid) {
                     console.log(`   Status: ⚠️  SQLite database but not Durandal schema`);
                 } else {
                     console.log(`   Status: ❌ Not a valid SQLite database`);
@@ -297,52 +521,116 @@ class DatabaseDiscovery {
                 console.log();
             }
 
-            // Recommend the best database
-            const validDbs = [];
-            for (const db of this.foundDatabases) {
-                const verification = await this.verifyDatabase(db.path);
-                if (verification.valid && verification.hasDurandalSchema) {
-                    validDbs.push({
-                        ...db,
-                        recordCount: verification.recordCount || 0
-                    });
+            if (result.copies.length > 0) {
+                console.log('Copies of the same database (same memories):');
+                for (const group of result.copies) {
+                    console.log(`  ${group.fingerprint} (${group.memories} memories):`);
+                    group.databases.forEach((file, index) => console.log(`    ${index === 0 ? '*' : ' '} ${file}${index === 0 ? '  (most recently written)' : ''}`));
                 }
+                console.log();
             }
 
-            if (validDbs.length > 0) {
-                // Sort by record count, then by size
-                validDbs.sort((a, b) => {
-                    if (b.recordCount !== a.recordCount) {
-                        return b.recordCount - a.recordCount;
-                    }
-                    return b.size - a.size;
-                });
+            // Recommend the best database
+            const validDbs = result.databases.filter(db => db.durandal);
+            if (result.recommended) {
+                const best = validDbs.find(db => db.path === result.recommended);
 
                 console.log('========================================');
                 console.log('RECOMMENDED ACTION:');
                 console.log('========================================');
-                console.log(`\\nSet DATABASE_PATH environment variable to use your existing database:`);
-                console.log(`\\n  export DATABASE_PATH="${validDbs[0].path}"`);
-                console.log(`\\nThis database has ${validDbs[0].recordCount} existing memories.`);
+                console.log(`\nSet DATABASE_PATH environment variable to use your existing database:`);
+                console.log(`\n  export DATABASE_PATH="${best.path}"`);
+                console.log(`\nThis database has ${best.memories || 0} existing memories.`);
 
                 if (validDbs.length > 1) {
-                    console.log(`\\n⚠️  You have ${validDbs.length} valid databases. Consider consolidating them.`);
+                    console.log(`\n⚠️  You have ${validDbs.length} valid databases. Consider consolidating them.`);
                 }
             }
         }
 
+        if (this.registry) {
+            console.log(`\nRegistry updated: ${this.registry}`);
+        }
+
         return this.foundDatabases;
     }
+
+    /**
+     * Searches again every intervalSeconds, keeping the registry current
+     */
+    async watch(intervalSeconds = DEFAULT_WATCH_INTERVAL) {
+        const log = (line) => (this.json ? console.error : console.log)(line);
+        log(`Watching for Durandal databases every ${intervalSeconds}s (Ctrl+C to stop)`);
+        if (this.registry) {
+            log(`Registry: ${this.registry}`);
+        }
+
+        for (;;) {
+            const result = await this.find();
+            if (this.json) {
+                console.log(JSON.stringify(result));
+            }
+            const withMemories = result.databases.filter(db => db.memories > 0).length;
+            log(`[${new Date().toISOString()}] ${result.databases.length} database(s), ${withMemories} with memories, ${result.copies.length} group(s) of copies`);
+            await new Promise(resolve => setTimeout(resolve, intervalSeconds * 1000));
+        }
+    }
 }
 
+DatabaseDiscovery.DEFAULT_MAX_DEPTH = DEFAULT_MAX_DEPTH;
+
 // Run if called directly
 if (require.main === module) {
-    const discovery = new DatabaseDiscovery();
-    discovery.discover().then(() => {
-        console.log('\\nDiscovery complete.');
-    }).catch(err => {
-        console.error('Discovery failed:', err);
-    });
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(`
+Usage: durandal-discover [options]
+
+Options:
+  --json             Print the results as JSON
+  --roots DIRS       Directories to search, separated by '${path.delimiter}' (default: home, working directory, install and temp locations)
+  --depth N          Directory levels searched below each root (default: ${DEFAULT_MAX_DEPTH})
+  --watch            Search again periodically, keeping ~/.durandal-mcp/databases.json up to date
+  --interval SECS    With --watch: seconds between searches (default: ${DEFAULT_WATCH_INTERVAL})
+`);
+        process.exit(0);
+    }
+
+    let discovery;
+    try {
+        const options = DatabaseDiscovery.optionsFromArgs(args);
+        if (args.includes('--watch')) {
+            // Watching is for keeping the registry, whichever roots are searched
+            options.registry = DatabaseDiscovery.registryPath();
+        }
+        discovery = new DatabaseDiscovery(options);
+    } catch (error) {
+        console.error(`Discovery failed: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (args.includes('--watch')) {
+        const index = args.indexOf('--interval');
+        const interval = index > -1 ? Number(args[index + 1]) : DEFAULT_WATCH_INTERVAL;
+        if (!(interval > 0)) {
+            console.error('Discovery failed: --interval must be a positive number of seconds');
+            process.exit(1);
+        }
+        discovery.watch(interval).catch(err => {
+            console.error('Discovery failed:', err);
+            process.exit(1);
+        });
+    } else {
+        discovery.discover().then(() => {
+            if (!discovery.json) {
+                console.log('\nDiscovery complete.');
+            }
+        }).catch(err => {
+            console.error('Discovery failed:', err);
+            process.exit(1);
+        });
+    }
 }
 
-module.exports = DatabaseDiscovery;
\ No newline at end of file
+module.exports = DatabaseDiscovery;
@@ -5,6 +5,20 @@
  *
  * Finds all databases and merges them into a single universal database
  * Preserves all data with deduplication and metadata preservation
+ *
+ * Memories keep their IDs and created_at and carry metadata.provenance
+ * (source database and row id). A memory that duplicates one already in the
+ * target (same content ignoring case and punctuation, or a near duplicate)
+ * is handled by the merge strategy:
+ * - skip: leave it out (default)
+ * - keep_newest: the newer of the two replaces the older one's content
+ * - merge_metadata: fold its categories, keywords and missing fields into
+ *   the existing memory, which keeps the earlier created_at
+ * - keep_both: copy it and link it to the existing memory (duplicate_of);
+ *   exact duplicates are still left out
+ *
+ * --dry-run works out every change against a copy of the target and writes
+ * nothing; --report FILE saves what was (or would be) done as JSON.
  */
 
 const fs = require('fs');
@@ -12,74 +26,108 @@ const path = require('path');
 const os = require('os');
 const sqlite3 = require('sqlite3').verbose();
 const DatabaseDiscovery = require('./db-discovery');
+const DuplicateDetector = require('./duplicate-detector');
+const MCPDatabaseClient = require('./mcp-db-client');
+const { ulid, isUlid } = require('./ulid');
+const { SYSTEM_IDENTITY, runAs } = require('./access-control');
+const { ValidationError, DatabaseError } = require('./errors');
+
+const MERGE_STRATEGIES = ['skip', 'keep_newest', 'merge_metadata', 'keep_both'];
+
+const STRATEGY_DESCRIPTIONS = {
+    skip: 'Duplicate and near-duplicate memories will be skipped.',
+    keep_newest: 'Of a memory and its duplicate, the newer one will be kept.',
+    merge_metadata: 'Duplicates will be merged into the existing memory (categories, keywords, metadata).',
+    keep_both: 'Near duplicates will be kept and linked to the existing memory; exact duplicates skipped.'
+};
 
 class DatabaseMigrator {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {string} options.targetPath - Database to merge into (default: ~/.durandal-mcp/durandal-mcp-memory.db)
+     * @param {string} options.strategy - Handling of duplicates (see MERGE_STRATEGIES; default: skip)
+     * @param {boolean} options.dryRun - Report what would change without writing anything
+     * @param {string} options.report - File to write the JSON report to (- for stdout)
+     */
+    constructor(options = {}) {
+        const strategy = options.strategy || 'skip';
+        if (!MERGE_STRATEGIES.includes(strategy)) {
+            throw new ValidationError(`Invalid merge strategy: ${strategy}. Must be one of: ${MERGE_STRATEGIES.join(', ')}`, 'strategy', strategy);
+        }
+
         this.discovery = new DatabaseDiscovery();
-        this.targetDb = null;
-        this.targetPath = path.join(os.homedir(), '.durandal-mcp', 'durandal-mcp-memory.db');
+        this.target = null;
+        this.targetPath = options.targetPath || path.join(os.homedir(), '.durandal-mcp', 'durandal-mcp-memory.db');
+        this.strategy = strategy;
+        this.dryRun = !!options.dryRun;
+        this.reportPath = options.report || null;
+        this.scratchDir = null;
         this.sourceDatabases = [];
+        this.detector = new DuplicateDetector({
+            threshold: parseFloat(process.env.DUPLICATE_THRESHOLD) || undefined
+        });
+
+        // Memories in the target, and those merged so far (keyed like the detector)
+        this.index = new Map(); // key -> { key, id, uid, content, metadata, created_at }
+        this.uids = new Set();
+
         this.stats = {
-            totalMemories: 0,
-            duplicates: 0,
-            migrated: 0,
+            processed: 0,
+            inserted: 0,
+            linked: 0,
+            replaced: 0,
+            merged: 0,
+            skipped: 0,
             errors: 0
         };
+        this.report = null;
     }
 
     /**
-     * Initialize target database with proper schema
+     * Opens the target through the database client, so its schema is
+     * current and encrypted memories are readable. A dry run opens a copy
+     * (taken with the online backup API) instead of the target itself.
      */
-    async initializeTargetDatabase() {
-        const dir = path.dirname(this.targetPath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
+    async openTarget() {
+        if (!this.dryRun) {
+            fs.mkdirSync(path.dirname(this.targetPath), { recursive: true });
+            this.target = new MCPDatabaseClient({ path: this.targetPath });
+        } else if (fs.existsSync(this.targetPath)) {
+            this.scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'durandal-migrate-'));
+            const copy = path.join(this.scratchDir, path.basename(this.targetPath));
+            const original = new MCPDatabaseClient({ path: this.targetPath, migrate: false });
+            try {
+                await original.backupTo(copy);
+            } finally {
+                await original.close();
+            }
+            this.target = new MCPDatabaseClient({ path: copy });
+        } else {
+            // Nothing to compare against yet
+            return;
         }
 
-        return new Promise((resolve, reject) => {
-            this.targetDb = new sqlite3.Database(this.targetPath, (err) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+        const opened = await this.target.ready;
+        if (this.target.schemaError) {
+            throw this.target.schemaError;
+        }
+        if (!opened) {
+            throw new DatabaseError(`Could not open the target database ${this.targetPath}`, 'open');
+        }
+        if (this.target.encryption.locked) {
+            throw new DatabaseError(`Target database ${this.targetPath} is locked: ${this.target.encryption.error}`, 'open');
+        }
+    }
 
-                // Create schema - handle existing table by adding columns if needed
-                const createTable = `
-                    CREATE TABLE IF NOT EXISTS memories (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        content TEXT NOT NULL,
-                        metadata TEXT,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                    );
-
-                    CREATE INDEX IF NOT EXISTS idx_memories_created_at ON memories(created_at);
-                `;
-
-                this.targetDb.exec(createTable, (err) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-
-                    // Try to add migration columns if they don't exist
-                    this.targetDb.run('ALTER TABLE memories ADD COLUMN source_db TEXT', (err) => {
-                        // Ignore error if column already exists
-                        this.targetDb.run('ALTER TABLE memories ADD COLUMN original_id INTEGER', (err2) => {
-                            // Create indices
-                            const indices = `
-                                CREATE INDEX IF NOT EXISTS idx_memories_source ON memories(source_db, original_id);
-                                CREATE INDEX IF NOT EXISTS idx_memories_content_hash ON memories(
-                                    substr(content, 1, 100)
-                                );
-                            `;
-                            this.targetDb.exec(indices, (err3) => {
-                                resolve();
-                            });
-                        });
-                    });
-                });
-            });
-        });
+    async closeTarget() {
+        if (this.target) {
+            await this.target.close();
+            this.target = null;
+        }
+        if (this.scratchDir) {
+            fs.rmSync(this.scratchDir, { recursive: true, force: true });
+            this.scratchDir = null;
+        }
     }
 
     /**
@@ -111,22 +159,259 @@ class DatabaseMigrator {
     }
 
     /**
-     * Check for duplicate memory based on content
+     * Load memories already in the target database into the duplicate detector,
+     * and the uids of all of them (expired ones too, which the export leaves
+     * out but which still hold their uid)
      */
-    async isDuplicate(content, metadata) {
-        return new Promise((resolve) => {
-            // Check for exact content match
-            this.targetDb.get(
-                'SELECT id FROM memories WHERE content = ? LIMIT 1',
-                [content],
-                (err, row) => {
-                    if (err) {
-                        resolve(false);
-                    } else {
-                        resolve(!!row);
-                    }
+    async loadDuplicateIndex() {
+        if (!this.target) {
+            return;
+        }
+
+        for (const memory of await this.target.getMemoriesForExport()) {
+            this.remember(`target:${memory.uid}`, memory);
+        }
+        for (const row of (await this.target.query('SELECT uid FROM memories')).rows) {
+            this.uids.add(row.uid);
+        }
+    }
+
+    remember(key, memory) {
+        const entry = {
+            key,
+            id: memory.id,
+            uid: memory.uid,
+            content: memory.content,
+            metadata: memory.metadata,
+            created_at: memory.created_at
+        };
+        this.index.set(key, entry);
+        this.uids.add(entry.uid);
+        this.detector.add(key, entry.content);
+        return entry;
+    }
+
+    /**
+     * Reads a source database's memories (read-only)
+     */
+    async readSource(sourcePath) {
+        const source = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(sourcePath, sqlite3.OPEN_READONLY, (err) => err ? reject(err) : resolve(db));
+        });
+        const all = (sql) => new Promise((resolve, reject) => {
+            source.all(sql, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+
+        try {
+            const tables = (await all('SELECT name FROM sqlite_master WHERE type = \'table\'')).map(row => row.name);
+            if (tables.includes('durandal_settings') &&
+                (await all('SELECT 1 FROM durandal_settings WHERE key = \'encryption\'')).length > 0) {
+                throw new Error('The database is encrypted; move its memories with durandal-mcp --export and --import instead');
+            }
+            return await all('SELECT * FROM memories ORDER BY created_at, id');
+        } finally {
+            source.close();
+        }
+    }
+
+    /**
+     * A source row as the memory to merge; rows from before memory IDs and
+     * ownership get a new ID and no owner, as the schema migrations give them
+     */
+    sourceMemory(row, sourcePath) {
+        let metadata = {};
+        try {
+            metadata = JSON.parse(row.metadata || '{}') || {};
+        } catch (error) {
+            // Unreadable metadata is dropped; the content still counts
+        }
+
+        return {
+            uid: isUlid(row.uid) ? row.uid : ulid(),
+            content: row.content,
+            metadata,
+            created_at: row.created_at || null,
+            owner: row.owner || null,
+            namespace: row.namespace || null,
+            visibility: row.visibility || undefined,
+            source: sourcePath,
+            original_id: row.id
+        };
+    }
+
+    withProvenance(memory) {
+        return {
+            ...memory.metadata,
+            provenance: {
+                source_db: memory.source,
+                original_id: memory.original_id,
+                migrated_at: this.report.started_at
+            }
+        };
+    }
+
+    /**
+     * Categories and keywords are combined, the higher importance is kept
+     * and fields the existing memory lacks are filled in
+     */
+    mergeMetadata(current, incoming) {
+        const union = (a, b) => [...new Set([...(a || []), ...(b || [])])];
+        const merged = { ...current, duplicate_count: (current.duplicate_count || 0) + 1 };
+
+        if (current.importance !== undefined || incoming.importance !== undefined) {
+            merged.importance = Math.max(current.importance || 0, incoming.importance || 0);
+        }
+        for (const key of ['categories', 'keywords']) {
+            if (current[key] || incoming[key]) {
+                merged[key] = union(current[key], incoming[key]);
+            }
+        }
+        for (const [key, value] of Object.entries(incoming)) {
+            // A copy with an expiry must not make the merged memory expire
+            if (key !== 'expires_at' && merged[key] === undefined) {
+                merged[key] = value;
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Decides what to do with a source memory:
+     * { type: insert|link|replace|merge|skip, reason, memory, existing, similarity, ... }
+     */
+    plan(memory) {
+        if (this.uids.has(memory.uid)) {
+            return { type: 'skip', reason: 'already_present', memory };
+        }
+
+        const match = this.detector.find(memory.content);
+        if (!match) {
+            return { type: 'insert', memory, metadata: this.withProvenance(memory) };
+        }
+
+        const existing = this.index.get(match.id);
+        const duplicate = {
+            memory,
+            existing,
+            similarity: match.similarity,
+            reason: match.exact ? 'duplicate' : 'near_duplicate'
+        };
+        const older = (a, b) => parseTimestamp(a) < parseTimestamp(b);
+
+        switch (this.strategy) {
+            case 'keep_newest':
+                return older(existing.created_at, memory.created_at)
+                    ? { type: 'replace', ...duplicate, metadata: this.withProvenance(memory), created_at: memory.created_at }
+                    : { type: 'skip', ...duplicate };
+            case 'merge_metadata':
+                return {
+                    type: 'merge',
+                    ...duplicate,
+                    metadata: this.mergeMetadata(existing.metadata, memory.metadata),
+                    created_at: older(memory.created_at, existing.created_at) ? memory.created_at : existing.created_at
+                };
+            case 'keep_both':
+                return match.exact
+                    ? { type: 'skip', ...duplicate }
+                    : { type: 'link', ...duplicate, metadata: this.withProvenance(memory) };
+            default:
+                return { type: 'skip', ...duplicate };
+        }
+    }
+
+    /**
+     * Writes a planned action to the target
+     */
+    async apply(action) {
+        const { memory, existing } = action;
+        const check = (result) => {
+            if (!result.success) {
+                throw new Error(result.error || 'No rows changed');
+            }
+            return result;
+        };
+
+        switch (action.type) {
+            case 'insert':
+            case 'link': {
+                const stored = check(await this.target.storeMemory(memory.content, action.metadata, {
+                    uid: memory.uid,
+                    createdAt: memory.created_at,
+                    owner: memory.owner,
+                    namespace: memory.namespace,
+                    visibility: memory.visibility
+                }));
+                if (stored.duplicate) {
+                    throw new Error(`A memory with uid ${memory.uid} is already in the target`);
+                }
+                memory.id = stored.id;
+                if (action.type === 'link') {
+                    check(await this.target.linkMemories(stored.id, existing.id, 'duplicate_of', {
+                        metadata: { similarity: action.similarity }
+                    }));
                 }
-            );
+                break;
+            }
+            case 'replace':
+            case 'merge':
+                check(await this.target.updateMemory(existing.id, {
+                    ...(action.type === 'replace' ? { content: memory.content } : {}),
+                    metadata: action.metadata,
+                    replaceMetadata: true,
+                    reason: action.type === 'replace'
+                        ? `replaced by a newer copy from ${memory.source}`
+                        : `merged duplicate from ${memory.source}`
+                }));
+                await this.target.query(
+                    'UPDATE memories SET created_at = COALESCE(datetime(?), created_at) WHERE id = ?',
+                    [action.created_at, existing.id]
+                );
+                break;
+        }
+    }
+
+    /**
+     * Updates the in-memory index and the report once an action is done
+     * (or, in a dry run, would be done)
+     */
+    record(action, summary) {
+        const { memory, existing } = action;
+
+        switch (action.type) {
+            case 'insert':
+            case 'link':
+                this.remember(`${memory.source}:${memory.original_id}`, { ...memory, metadata: action.metadata });
+                break;
+            case 'replace':
+                this.detector.remove(existing.key);
+                this.detector.add(existing.key, memory.content);
+                existing.content = memory.content;
+                existing.metadata = action.metadata;
+                existing.created_at = action.created_at;
+                break;
+            case 'merge':
+                existing.metadata = action.metadata;
+                existing.created_at = action.created_at;
+                break;
+        }
+
+        const counter = { insert: 'inserted', link: 'linked', replace: 'replaced', merge: 'merged', skip: 'skipped' }[action.type];
+        summary[counter]++;
+        this.stats[counter]++;
+
+        this.report.actions.push({
+            source_db: memory.source,
+            original_id: memory.original_id,
+            action: action.type,
+            ...(action.reason ? { reason: action.reason } : {}),
+            // The memory written (or that would be), else the one it duplicates
+            ...(['insert', 'link'].includes(action.type) ? { id: memory.uid } : {}),
+            ...(['replace', 'merge'].includes(action.type) ? { id: existing.uid } : {}),
+            ...(['link', 'skip'].includes(action.type) ? { duplicate_of: existing ? existing.uid : memory.uid } : {}),
+            ...(existing ? { similarity: Math.round(action.similarity * 1000) / 1000 } : {}),
+            created_at: memory.created_at,
+            preview: memory.content.substring(0, 80)
         });
     }
 
@@ -134,109 +419,140 @@ class DatabaseMigrator {
      * Migrate memories from a source database
      */
     async migrateDatabase(sourceDb) {
-        console.log(`\nMigrating from: ${sourceDb.path}`);
-        console.log(`Records to migrate: ${sourceDb.recordCount}`);
-
-        return new Promise((resolve) => {
-            const source = new sqlite3.Database(sourceDb.path, sqlite3.OPEN_READONLY, async (err) => {
-                if (err) {
-                    console.error(`  Error opening source: ${err.message}`);
-                    this.stats.errors++;
-                    resolve();
-                    return;
+        console.log(`\n${this.dryRun ? 'Checking' : 'Migrating from'}: ${sourceDb.path}`);
+
+        const summary = { path: sourceDb.path, memories: 0, inserted: 0, linked: 0, replaced: 0, merged: 0, skipped: 0, errors: [] };
+        this.report.sources.push(summary);
+
+        let rows;
+        try {
+            rows = await this.readSource(sourceDb.path);
+        } catch (error) {
+            console.error(`  Error reading memories: ${error.message}`);
+            summary.errors.push(error.message);
+            this.stats.errors++;
+            return summary;
+        }
+
+        for (const row of rows) {
+            summary.memories++;
+            this.stats.processed++;
+
+            const memory = this.sourceMemory(row, sourceDb.path);
+            const action = this.plan(memory);
+            try {
+                if (!this.dryRun) {
+                    await this.apply(action);
                 }
+                this.record(action, summary);
+            } catch (error) {
+                console.error(`  Migration error (memory ${row.id}): ${error.message}`);
+                summary.errors.push(`memory ${row.id}: ${error.message}`);
+                this.stats.errors++;
+            }
+        }
 
-                // Get all memories from source
-                source.all(
-                    'SELECT * FROM memories ORDER BY created_at',
-                    async (err, rows) => {
-                        if (err) {
-                            console.error(`  Error reading memories: ${err.message}`);
-                            this.stats.errors++;
-                            source.close();
-                            resolve();
-                            return;
-                        }
-
-                        let migrated = 0;
-                        let duplicates = 0;
-
-                        for (const row of rows) {
-                            this.stats.totalMemories++;
-
-                            // Check for duplicate
-                            const isDupe = await this.isDuplicate(row.content, row.metadata);
-
-                            if (isDupe) {
-                                duplicates++;
-                                this.stats.duplicates++;
-                                continue;
-                            }
-
-                            // Migrate the memory
-                            await new Promise((migrateResolve) => {
-                                this.targetDb.run(
-                                    `INSERT INTO memories (content, metadata, created_at, source_db, original_id)
-                                     VALUES (?, ?, ?, ?, ?)`,
-                                    [
-                                        row.content,
-                                        row.metadata,
-                                        row.created_at || new Date().toISOString(),
-                                        sourceDb.path,
-                                        row.id
-                                    ],
-                                    (err) => {
-                                        if (err) {
-                                            if (!err.message.includes('UNIQUE constraint')) {
-                                                console.error(`  Migration error: ${err.message}`);
-                                                this.stats.errors++;
-                                            } else {
-                                                duplicates++;
-                                                this.stats.duplicates++;
-                                            }
-                                        } else {
-                                            migrated++;
-                                            this.stats.migrated++;
-                                        }
-                                        migrateResolve();
-                                    }
-                                );
-                            });
-                        }
-
-                        console.log(`  ✓ Migrated: ${migrated} memories`);
-                        if (duplicates > 0) {
-                            console.log(`  ⚠ Skipped: ${duplicates} duplicates`);
-                        }
-
-                        source.close();
-                        resolve();
-                    }
-                );
+        const counts = [
+            ['inserted', 'Migrated', 'Would migrate'],
+            ['linked', 'Kept and linked to a duplicate', 'Would keep and link to a duplicate'],
+            ['replaced', 'Replaced older copies', 'Would replace older copies'],
+            ['merged', 'Merged into duplicates', 'Would merge into duplicates'],
+            ['skipped', 'Skipped', 'Would skip']
+        ];
+        for (const [key, done, planned] of counts) {
+            if (summary[key] > 0) {
+                console.log(`  ${key === 'skipped' ? '⚠' : '✓'} ${this.dryRun ? planned : done}: ${summary[key]}`);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Merges source databases ([{ path }]) into the target, without prompting,
+     * and returns the report; with dryRun nothing is written
+     */
+    async merge(sources) {
+        this.index.clear();
+        this.uids.clear();
+        this.detector = new DuplicateDetector({ threshold: this.detector.threshold });
+        Object.keys(this.stats).forEach(key => { this.stats[key] = 0; });
+
+        this.report = {
+            dry_run: this.dryRun,
+            strategy: this.strategy,
+            threshold: this.detector.threshold,
+            target: this.targetPath,
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            totals: this.stats,
+            target_memories: { before: 0, after: 0 },
+            sources: [],
+            actions: []
+        };
+
+        try {
+            // Memories of every user are merged, whoever runs the tool
+            await runAs(SYSTEM_IDENTITY, async () => {
+                await this.openTarget();
+                await this.loadDuplicateIndex();
+                this.report.target_memories.before = this.index.size;
+
+                for (const source of sources) {
+                    await this.migrateDatabase(source);
+                }
             });
-        });
+        } finally {
+            await this.closeTarget();
+        }
+
+        this.report.target_memories.after = this.report.target_memories.before + this.stats.inserted + this.stats.linked;
+        this.report.finished_at = new Date().toISOString();
+        return this.report;
+    }
+
+    /**
+     * Writes the report as JSON to file, or to stdout for -
+     */
+    writeReport(file) {
+        const json = JSON.stringify(this.report, null, 2);
+        if (file === '-') {
+            process.stdout.write(`${json}\n`);
+        } else {
+            fs.writeFileSync(file, `${json}\n`);
+        }
     }
 
     /**
      * Run the complete migration process
      */
     async migrate() {
+        // Keep stdout for the report itself
+        if (this.reportPath === '-') {
+            console.log = console.error;
+        }
+
         console.log('========================================');
         console.log('Durandal Database Migration Tool v1.0');
         console.log('========================================\n');
 
         try {
-            // Initialize target database
-            await this.initializeTargetDatabase();
-            console.log(`Target database: ${this.targetPath}\n`);
+            console.log(`Target database: ${this.targetPath}`);
+            console.log(`Merge strategy: ${this.strategy}${this.dryRun ? ' (dry run: nothing will be changed)' : ''}\n`);
 
             // Find all databases
             const databases = await this.findAllDatabases();
 
             if (databases.length === 0) {
+                await this.merge([]);
+                if (this.reportPath) {
+                    this.writeReport(this.reportPath);
+                }
                 console.log('No source databases found to migrate.');
-                console.log('\nYour universal database is ready at:');
-                console.log(`  ${this.targetPath}`);
+                if (!this.dryRun) {
+                    console.log('\nYour universal database is ready at:');
+                    console.log(`  ${this.targetPath}`);
+                }
                 return;
             }
 
@@ -245,53 +561,66 @@ class DatabaseMigrator {
                 console.log(`  - ${db.path} (${db.recordCount} memories)`);
             }
 
-            // Ask for confirmation
-            console.log('\n⚠️  WARNING: This will merge all databases into one.');
-            console.log('Original databases will NOT be deleted.');
-            console.log('Duplicate memories will be skipped.\n');
+            if (!this.dryRun) {
+                // Ask for confirmation
+                console.log('\n⚠️  WARNING: This will merge all databases into one.');
+                console.log('Original databases will NOT be deleted.');
+                console.log(`${STRATEGY_DESCRIPTIONS[this.strategy]}\n`);
 
-            const readline = require('readline');
-            const rl = readline.createInterface({
-                input: process.stdin,
-                output: process.stdout
-            });
+                const readline = require('readline');
+                const rl = readline.createInterface({
+                    input: process.stdin,
+                    output: this.reportPath === '-' ? process.stderr : process.stdout
+                });
 
-            const answer = await new Promise((resolve) => {
-                rl.question('Continue with migration? (yes/no): ', resolve);
-            });
-            rl.close();
+                const answer = await new Promise((resolve) => {
+                    rl.question('Continue with migration? (yes/no): ', resolve);
+                });
+                rl.close();
 
-            if (answer.toLowerCase() !== 'yes' && answer.toLowerCase() !== 'y') {
-                console.log('\nMigration cancelled.');
-                return;
+                if (answer.toLowerCase() !== 'yes' && answer.toLowerCase() !== 'y') {
+                    console.log('\nMigration cancelled.');
+                    return;
+                }
             }
 
             // Perform migration
-            console.log('\nStarting migration...');
-            for (const db of databases) {
-                await this.migrateDatabase(db);
-            }
+            console.log(this.dryRun ? '\nWorking out the merge...' : '\nStarting migration...');
+            const report = await this.merge(databases);
 
             // Show final statistics
             console.log('\n========================================');
-            console.log('Migration Complete!');
+            console.log(this.dryRun ? 'Dry Run Complete' : 'Migration Complete!');
             console.log('========================================\n');
-            console.log(`Total memories processed: ${this.stats.totalMemories}`);
-            console.log(`Successfully migrated: ${this.stats.migrated}`);
-            console.log(`Duplicates skipped: ${this.stats.duplicates}`);
+            console.log(`Total memories processed: ${this.stats.processed}`);
+            console.log(`${this.dryRun ? 'Would migrate' : 'Successfully migrated'}: ${this.stats.inserted + this.stats.linked}`);
+            if (this.stats.linked > 0) {
+                console.log(`  of which linked to a near duplicate: ${this.stats.linked}`);
+            }
+            if (this.stats.replaced > 0) {
+                console.log(`${this.dryRun ? 'Would replace' : 'Replaced'} with a newer copy: ${this.stats.replaced}`);
+            }
+            if (this.stats.merged > 0) {
+                console.log(`${this.dryRun ? 'Would merge' : 'Merged'} into an existing memory: ${this.stats.merged}`);
+            }
+            console.log(`Duplicates skipped: ${this.stats.skipped}`);
             if (this.stats.errors > 0) {
                 console.log(`Errors encountered: ${this.stats.errors}`);
             }
 
-            // Get final count
-            await new Promise((resolve) => {
-                this.targetDb.get('SELECT COUNT(*) as count FROM memories', (err, row) => {
-                    if (!err && row) {
-                        console.log(`\n✅ Universal database now contains: ${row.count} memories`);
-                    }
-                    resolve();
-                });
-            });
+            if (this.reportPath) {
+                this.writeReport(this.reportPath);
+                if (this.reportPath !== '-') {
+                    console.log(`\nReport written to ${this.reportPath}`);
+                }
+            }
+
+            if (this.dryRun) {
+                console.log(`\n[DRY RUN] Nothing was changed; the universal database would contain ${report.target_memories.after} memories`);
+                return;
+            }
+
+            console.log(`\n✅ Universal database now contains: ${report.target_memories.after} memories`);
 
             console.log(`\nUniversal database location:`);
             console.log(`  ${this.targetPath}`);
@@ -312,10 +641,6 @@ class DatabaseMigrator {
         } catch (error) {
             console.error('\n❌ Migration failed:', error.message);
             console.error(error.stack);
-        } finally {
-            if (this.targetDb) {
-                this.targetDb.close();
-            }
         }
     }
 
@@ -325,29 +650,69 @@ class DatabaseMigrator {
     async verify() {
         console.log('\nVerifying migration integrity...');
 
-        // Count memories in target
-        return new Promise((resolve) => {
-            this.targetDb.get(
-                'SELECT COUNT(*) as count, COUNT(DISTINCT source_db) as sources FROM memories',
-                (err, row) => {
-                    if (!err && row) {
-                        console.log(`  Memories in universal DB: ${row.count}`);
-                        console.log(`  Migrated from ${row.sources} source(s)`);
-                    }
-                    resolve();
-                }
-            );
-        });
+        const target = new MCPDatabaseClient({ path: this.targetPath });
+        try {
+            const memories = await runAs(SYSTEM_IDENTITY, () => target.getMemoriesForExport());
+            const sources = new Set(memories.map(memory => memory.metadata.provenance?.source_db).filter(Boolean));
+            console.log(`  Memories in universal DB: ${memories.length}`);
+            console.log(`  Migrated from ${sources.size} source(s)`);
+        } finally {
+            await target.close();
+        }
+    }
+}
+
+/**
+ * Milliseconds since the epoch for a SQLite timestamp (UTC, no zone) or ISO string
+ */
+function parseTimestamp(value) {
+    if (!value) return NaN;
+    const text = String(value);
+    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text)) {
+        return Date.parse(text.replace(' ', 'T') + 'Z');
     }
+    return Date.parse(text);
 }
 
+DatabaseMigrator.MERGE_STRATEGIES = MERGE_STRATEGIES;
+
 // Run if called directly
 if (require.main === module) {
-    const migrator = new DatabaseMigrator();
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(name);
+        return index > -1 ? args[index + 1] : undefined;
+    };
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(`
+Usage: durandal-migrate [options]
+
+Merges every Durandal database found on this system into ~/.durandal-mcp/durandal-mcp-memory.db
+
+Options:
+  --dry-run          Report what would change without writing anything
+  --strategy NAME    Duplicates: ${MERGE_STRATEGIES.join(', ')} (default: skip)
+  --report FILE      Write a JSON report of the merge to FILE (- for stdout)
+`);
+        process.exit(0);
+    }
+
+    let migrator;
+    try {
+        migrator = new DatabaseMigrator({
+            dryRun: args.includes('--dry-run'),
+            strategy: option('--strategy'),
+            report: option('--report')
+        });
+    } catch (error) {
+        console.error(`Migration failed: ${error.message}`);
+        process.exit(1);
+    }
     migrator.migrate().catch(err => {
         console.error('Migration failed:', err);
         process.exit(1);
     });
 }
 
-module.exports = DatabaseMigrator;
\ No newline at end of file
+module.exports = DatabaseMigrator;
@@ -0,0 +1,187 @@
+/**
+ * Duplicate Detector - Exact and near-duplicate detection for memories
+ *
+ * Exact duplicates are found by hashing normalized content (case, whitespace
+ * and punctuation ignored). Near duplicates are found by shingling: content
+ * is cut into overlapping character n-grams and two memories are compared
+ * by the Jaccard similarity of their shingle sets.
+ *
+ * Used by store_memory (against the database) and by durandal-migrate
+ * (against an in-memory index of the target database).
+ */
+
+const crypto = require('crypto');
+
+const POLICIES = ['merge', 'reject', 'link', 'allow'];
+const DEFAULT_THRESHOLD = 0.7;
+const DEFAULT_SHINGLE_SIZE = 4;
+
+class DuplicateDetector {
+    /**
+     * @param {Object} options
+     * @param {number} options.threshold - Jaccard similarity at or above which content is a near duplicate (default: 0.7)
+     * @param {number} options.shingleSize - Characters per shingle (default: 4)
+     */
+    constructor(options = {}) {
+        this.threshold = options.threshold || DEFAULT_THRESHOLD;
+        this.shingleSize = options.shingleSize || DEFAULT_SHINGLE_SIZE;
+
+        // In-memory index (see add/find)
+        this.hashes = new Map(); // hash -> id
+        this.shingleSets = new Map(); // id -> Set of shingles
+        this.postings = new Map(); // shingle -> Set of ids
+    }
+
+    static normalize(content) {
+        return String(content || '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * SHA-256 of the normalized content
+     */
+    static hash(content) {
+        return crypto.createHash('sha256').update(DuplicateDetector.normalize(content)).digest('hex');
+    }
+
+    shingles(content) {
+        const text = DuplicateDetector.normalize(content);
+        const shingles = new Set();
+
+        if (text.length <= this.shingleSize) {
+            if (text) shingles.add(text);
+            return shingles;
+        }
+
+        for (let i = 0; i <= text.length - this.shingleSize; i++) {
+            shingles.add(text.slice(i, i + this.shingleSize));
+        }
+        return shingles;
+    }
+
+    static jaccard(setA, setB) {
+        if (setA.size === 0 && setB.size === 0) {
+            return 1;
+        }
+
+        let overlap = 0;
+        const [smaller, larger] = setA.size < setB.size ? [setA, setB] : [setB, setA];
+        for (const shingle of smaller) {
+            if (larger.has(shingle)) overlap++;
+        }
+        return overlap / (setA.size + setB.size - overlap);
+    }
+
+    similarity(contentA, contentB) {
+        return DuplicateDetector.jaccard(this.shingles(contentA), this.shingles(contentB));
+    }
+
+    /**
+     * Words to look up near-duplicate candidates with (e.g. in the
+     * full-text index); long content only needs its first few
+     */
+    candidateQuery(content, maxTerms = 32) {
+        const words = DuplicateDetector.normalize(content).split(' ').filter(word => word.length > 2);
+        return [...new Set(words)].slice(0, maxTerms).join(' ');
+    }
+
+    /**
+     * Best duplicate of content among candidate memories ({ content, ... })
+     * Returns { memory, similarity, exact } or null
+     */
+    findDuplicate(content, candidates) {
+        const hash = DuplicateDetector.hash(content);
+        const shingles = this.shingles(content);
+        let best = null;
+
+        for (const memory of candidates) {
+            if (DuplicateDetector.hash(memory.content) === hash) {
+                return { memory, similarity: 1, exact: true };
+            }
+
+            const similarity = DuplicateDetector.jaccard(shingles, this.shingles(memory.content));
+            if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+                best = { memory, similarity, exact: false };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Adds content to the in-memory index, for checking many memories
+     * against each other without a database round trip per candidate
+     */
+    add(id, content) {
+        const hash = DuplicateDetector.hash(content);
+        if (!this.hashes.has(hash)) {
+            this.hashes.set(hash, id);
+        }
+
+        const shingles = this.shingles(content);
+        this.shingleSets.set(id, shingles);
+        for (const shingle of shingles) {
+            if (!this.postings.has(shingle)) {
+                this.postings.set(shingle, new Set());
+            }
+            this.postings.get(shingle).add(id);
+        }
+    }
+
+    /**
+     * Removes id from the in-memory index (e.g. before re-adding it with
+     * replaced content)
+     */
+    remove(id) {
+        for (const shingle of this.shingleSets.get(id) || []) {
+            const ids = this.postings.get(shingle);
+            ids.delete(id);
+            if (ids.size === 0) {
+                this.postings.delete(shingle);
+            }
+        }
+        this.shingleSets.delete(id);
+
+        for (const [hash, owner] of this.hashes) {
+            if (owner === id) {
+                this.hashes.delete(hash);
+            }
+        }
+    }
+
+    /**
+     * Finds a duplicate of content in the in-memory index
+     * Returns { id, similarity, exact } or null
+     */
+    find(content) {
+        const hash = DuplicateDetector.hash(content);
+        if (this.hashes.has(hash)) {
+            return { id: this.hashes.get(hash), similarity: 1, exact: true };
+        }
+
+        const shingles = this.shingles(content);
+        const overlaps = new Map();
+        for (const shingle of shingles) {
+            for (const id of this.postings.get(shingle) || []) {
+                overlaps.set(id, (overlaps.get(id) || 0) + 1);
+            }
+        }
+
+        let best = null;
+        for (const [id, overlap] of overlaps) {
+            const similarity = overlap / (shingles.size + this.shingleSets.get(id).size - overlap);
+            if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+                best = { id, similarity, exact: false };
+            }
+        }
+
+        return best;
+    }
+}
+
+DuplicateDetector.POLICIES = POLICIES;
+DuplicateDetector.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+
+module.exports = DuplicateDetector;
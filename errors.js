@@ -78,6 +78,10 @@ class DatabaseError extends MCPError {
             recovery = 'Database is locked, try again in a moment';
         } else if (error?.code === 'SQLITE_CORRUPT') {
             recovery = 'Database file is corrupted, may need to recreate';
+        } else if (error?.code === 'SCHEMA_TOO_NEW') {
+            recovery = 'Upgrade durandal-memory-mcp (npm install -g durandal-memory-mcp@latest), or point DATABASE_PATH at another database';
+        } else if (error?.code === 'UNSUPPORTED_BACKEND') {
+            recovery = 'This feature needs the SQLite backend; unset DATABASE_TYPE and DATABASE_URL to use it';
         }
 
         super(message, 'DATABASE_ERROR', context, recovery);
@@ -168,6 +172,24 @@ class FileSystemError extends MCPError {
     }
 }
 
+/**
+ * Error for operations the caller is not allowed to perform
+ */
+class AccessDeniedError extends MCPError {
+    constructor(message, user = null, resource = null) {
+        const context = {};
+        if (user) context.user = user;
+        if (resource) context.resource = resource;
+
+        super(
+            message,
+            'ACCESS_DENIED',
+            context,
+            'Ask the owner to share the project with you (share_project), or work on your own memories'
+        );
+    }
+}
+
 /**
  * Error for memory/resource issues
  */
@@ -268,5 +290,6 @@ module.exports = {
     ConfigurationError,
     FileSystemError,
     ResourceError,
+    AccessDeniedError,
     ErrorHandler
 };
\ No newline at end of file
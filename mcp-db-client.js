@@ -5,13 +5,53 @@
  * Extracted from unified-db-client.js for MCP server simplicity.
  */
 
+const MemoryEmbedder = require('./memory-embeddings');
+const { ulid, isUlid } = require('./ulid');
+const DuplicateDetector = require('./duplicate-detector');
+const MemoryCipher = require('./memory-cipher');
+const { configuredIdentity, currentIdentity, validateVisibility } = require('./access-control');
+const SchemaMigrator = require('./schema-migrations');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Relationship types for memory_links (read as "source <type> target")
+const LINK_TYPES = ['supersedes', 'relates_to', 'caused_by', 'fixes', 'duplicate_of'];
+
+// Result orders for searches and listings; relevance only applies to searches
+const SORT_ORDERS = ['relevance', 'newest', 'oldest', 'importance', 'most_accessed'];
+
+// The client whose transaction the current call runs in (see transaction)
+const transactionScope = new AsyncLocalStorage();
+
 class MCPDatabaseClient {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.migrate - Set to false to open the database
+     *   without migrating or initializing it (e.g. --migrate-schema --dry-run)
+     * @param {string} options.path - Open this database file instead of
+     *   resolving one (DATABASE_PATH, then discovery)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.type = 'sqlite';
         this.client = null;
+        this.schemaError = null;
         this.initialized = false;
+        this.ftsEnabled = false;
+        this.embedder = new MemoryEmbedder();
+
+        // Transactions run one at a time on the shared connection (see transaction)
+        this.transactionQueue = Promise.resolve();
+        this.activeTransaction = null;
+
+        // Caller outside any request (see access-control.js)
+        this.identity = configuredIdentity();
+
+        // Encryption at rest (see initializeEncryption)
+        this.cipher = null;
+        this.encryption = { enabled: false, locked: false, keyId: null };
 
         // Determine database path with priority order
-        this.dbPath = this.resolveDatabasePath();
+        this.dbPath = options.path || this.resolveDatabasePath();
 
         this.initializeSQLite();
     }
@@ -70,38 +110,49 @@ class MCPDatabaseClient {
             }
         }
 
-        // Priority 3: If no quick matches, run exhaustive discovery
+        // Priority 3: If no quick matches, use the databases recorded by
+        // durandal-discover (see db-discovery.js) instead of searching again
+        const DatabaseDiscovery = require('./db-discovery');
+        if (quickDatabases.length === 0) {
+            const registry = DatabaseDiscovery.loadRegistry(DatabaseDiscovery.registryPath());
+            for (const db of registry ? registry.databases : []) {
+                if (db.durandal && fs.existsSync(db.path)) {
+                    quickDatabases.push({
+                        path: db.path,
+                        size: fs.statSync(db.path).size,
+                        recordCount: db.memories || 0,
+                        registered: true
+                    });
+                }
+            }
+
+            if (quickDatabases.length > 0) {
+                console.log(`[DB] Using ${quickDatabases.length} database(s) from the discovery registry (updated ${registry.updated_at})`);
+            }
+        }
+
+        // Priority 4: Otherwise run exhaustive discovery (which saves the registry for next time)
         if (quickDatabases.length === 0) {
             console.log('[DB] No databases found in standard locations, running exhaustive search...');
             console.log('[DB] This may take a moment to ensure no data is lost...');
 
             try {
-                // Try to use the discovery tool if available
-                const DatabaseDiscovery = require('./db-discovery');
-                const discovery = new DatabaseDiscovery();
-
                 // Run synchronous discovery
                 const execSync = require('child_process').execSync;
-                const discoveryResult = execSync('node db-discovery.js', {
+                const discoveryResult = execSync('node db-discovery.js --json', {
                     cwd: __dirname,
                     encoding: 'utf8',
                     stdio: ['pipe', 'pipe', 'pipe']
                 });
 
-                // Parse discovery output to find databases
-                const lines = discoveryResult.split('\n');
-                for (const line of lines) {
-                    const dbMatch = line.match(/📁\s+(.+\.db)$/);
-                    if (dbMatch) {
-                        const dbPath = dbMatch[1];
-                        if (fs.existsSync(dbPath)) {
-                            const stats = fs.statSync(dbPath);
-                            quickDatabases.push({
-                                path: dbPath,
-                                size: stats.size,
-                                discovered: true
-                            });
-                        }
+                for (const db of JSON.parse(discoveryResult).databases) {
+                    if (db.durandal && fs.existsSync(db.path)) {
+                        quickDatabases.push({
+                            path: db.path,
+                            size: fs.statSync(db.path).size,
+                            recordCount: db.memories || 0,
+                            discovered: true
+                        });
                     }
                 }
 
@@ -129,7 +180,7 @@ class MCPDatabaseClient {
                 // Get record counts for each database
                 const databasesWithCounts = [];
                 for (const db of quickDatabases) {
-                    let recordCount = 0;
+                    let recordCount = db.recordCount || 0;
                     try {
                         // Synchronously check record count
                         const testDb = new sqlite3.Database(db.path, sqlite3.OPEN_READONLY, (err) => {
@@ -203,72 +254,417 @@ class MCPDatabaseClient {
 
         console.log(`[DB] Database: Using SQLite at ${this.dbPath}`);
 
-        this.client = new sqlite3.Database(this.dbPath, (err) => {
-            if (err) {
-                console.error('SQLite connection error:', err.message);
+        // Resolves once the schema is migrated and the search index is in place
+        this.ready = new Promise((resolve) => {
+            this.client = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    console.error('SQLite connection error:', err.message);
+                    resolve(false);
+                } else {
+                    // Wait (briefly) for other writers instead of failing with SQLITE_BUSY
+                    this.client.configure('busyTimeout', 2000);
+
+                    // Tools that manage the schema themselves open it as it is
+                    if (this.options.migrate === false) {
+                        resolve(true);
+                        return;
+                    }
+
+                    this.migrateSchema()
+                        .then(() => this.initializeEncryption())
+                        .then(() => this.backfillMemoryIds())
+                        .then(() => this.backfillContentHashes())
+                        .then(() => this.initializeSearchIndex())
+                        .then(() => resolve(true), () => resolve(false));
+                }
+            });
+        });
+    }
+
+    /**
+     * Brings the schema up to date (see schema-migrations.js), saving a copy
+     * of the database before the first pending migration runs. A database
+     * upgraded by a newer release is refused: schemaError is set and every
+     * query fails with it.
+     */
+    async migrateSchema() {
+        try {
+            const migration = await new SchemaMigrator(this).migrate();
+            if (migration.applied.length > 0) {
+                console.log(`[OK] SQLite schema migrated from version ${migration.from} to ${migration.to}` +
+                    (migration.backup ? ` (backup: ${migration.backup})` : ''));
+            }
+            this.initialized = true;
+            return migration;
+        } catch (error) {
+            console.error('SQLite schema migration failed:', error.message);
+            if (error.context?.sqliteCode === 'SCHEMA_TOO_NEW') {
+                this.schemaError = error;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Turns on encryption at rest (see memory-cipher.js) when the database is
+     * marked as encrypted, or is still empty and a key is configured
+     *
+     * An encrypted database opened without its key (or with another one) is
+     * locked: it opens, but every read or write of memories fails with
+     * encryption.error. A key configured for a plaintext database with
+     * memories does nothing until the database is encrypted (--encrypt-db).
+     */
+    async initializeEncryption() {
+        let cipher = null;
+        let keyError = null;
+        try {
+            cipher = MemoryCipher.fromEnvironment();
+        } catch (error) {
+            keyError = error.message;
+        }
+
+        const marker = await this.getEncryptionMarker();
+
+        if (!marker) {
+            const stored = await this.query('SELECT (SELECT COUNT(*) FROM memories) + (SELECT COUNT(*) FROM archived_memories) AS count');
+            if (cipher && stored.rows[0].count === 0) {
+                // A plaintext index may already exist from an earlier run
+                await this.dropSearchIndex();
+                await this.setEncryptionMarker(cipher);
+                this.useCipher(cipher);
             } else {
-                this.initializeSQLiteSchema();
+                this.encryption = { enabled: false, locked: false, keyId: null, keyConfigured: !!cipher, error: keyError };
+            }
+            return this.encryption;
+        }
+
+        if (!cipher) {
+            this.encryption = {
+                enabled: true,
+                locked: true,
+                keyId: marker.key_id,
+                error: keyError || `Database is encrypted but no key is configured; set ${MemoryCipher.KEY_ENV} or ${MemoryCipher.KEY_FILE_ENV}`
+            };
+        } else if (cipher.keyId !== marker.key_id) {
+            this.encryption = {
+                enabled: true,
+                locked: true,
+                keyId: marker.key_id,
+                error: `The configured encryption key (id ${cipher.keyId}) is not the key of this database (id ${marker.key_id})`
+            };
+        } else {
+            this.useCipher(cipher);
+        }
+
+        return this.encryption;
+    }
+
+    useCipher(cipher) {
+        this.cipher = cipher;
+        this.encryption = { enabled: true, locked: false, keyId: cipher.keyId };
+        this.embedder.useKey(cipher.keyId, (feature) => cipher.blind(feature));
+    }
+
+    /**
+     * { version, key_id } when the database is encrypted, else null
+     */
+    async getEncryptionMarker() {
+        const result = await this.query('SELECT value FROM durandal_settings WHERE key = \'encryption\'');
+        return result.rows.length > 0 ? JSON.parse(result.rows[0].value) : null;
+    }
+
+    async setEncryptionMarker(cipher) {
+        return await this.query(
+            'INSERT OR REPLACE INTO durandal_settings (key, value) VALUES (\'encryption\', ?)',
+            [JSON.stringify({ version: 1, key_id: cipher.keyId })]
+        );
+    }
+
+    assertUnlocked() {
+        if (this.encryption.locked) {
+            throw new Error(this.encryption.error);
+        }
+    }
+
+    /**
+     * Memory content as stored: sealed when the database is encrypted
+     */
+    sealContent(content, cipher = this.cipher) {
+        this.assertUnlocked();
+        return cipher ? cipher.seal(content) : content;
+    }
+
+    openContent(value, cipher = this.cipher) {
+        if (!MemoryCipher.isSealed(value)) {
+            return value;
+        }
+        this.assertUnlocked();
+        if (!cipher) {
+            throw new Error('Memory is encrypted but the database has no encryption key');
+        }
+        return cipher.open(value);
+    }
+
+    /**
+     * Metadata column value: JSON, or the cipher's envelope when encrypted
+     * (content feeds the envelope's blind search terms)
+     */
+    serializeMetadata(metadata, content, cipher = this.cipher) {
+        this.assertUnlocked();
+        return JSON.stringify(cipher ? cipher.sealMetadata(metadata || {}, content) : metadata);
+    }
+
+    openMetadata(value, cipher = this.cipher) {
+        const metadata = value ? JSON.parse(value) : {};
+        if (!MemoryCipher.isSealed(metadata.sealed)) {
+            return metadata;
+        }
+        this.assertUnlocked();
+        if (!cipher) {
+            throw new Error('Memory is encrypted but the database has no encryption key');
+        }
+        return cipher.openMetadata(metadata);
+    }
+
+    /**
+     * content_hash value; keyed when encrypted so it cannot be matched
+     * against the hashes of guessed content
+     */
+    contentHash(content, cipher = this.cipher) {
+        return cipher ? cipher.hash(DuplicateDetector.normalize(content)) : DuplicateDetector.hash(content);
+    }
+
+    /**
+     * Rewrites every memory, archived memory and earlier version under target
+     * (a MemoryCipher): encrypts a plaintext database in place, or moves an
+     * encrypted one to a new key. The full-text index and embeddings are
+     * rebuilt for the new key, and the file is vacuumed so no freed page
+     * keeps the old form. Returns { memories, archived, versions }
+     */
+    async reencrypt(target) {
+        await this.ready;
+        this.assertUnlocked();
+
+        const source = this.cipher;
+        const counts = await this.transaction(async () => {
+            const rewritten = {};
+            await this.dropSearchIndex();
+
+            for (const [table, name] of [['memories', 'memories'], ['archived_memories', 'archived'], ['memory_versions', 'versions']]) {
+                const rows = await this.query(`SELECT id, content, metadata FROM ${table}`);
+                for (const row of rows.rows) {
+                    const content = this.openContent(row.content, source);
+                    const metadata = this.serializeMetadata(this.openMetadata(row.metadata, source), content, target);
+                    await this.query(`UPDATE ${table} SET content = ?, metadata = ? WHERE id = ?`, [this.sealContent(content, target), metadata, row.id]);
+                    if (table === 'memories') {
+                        await this.query('UPDATE memories SET content_hash = ? WHERE id = ?', [this.contentHash(content, target), row.id]);
+                    }
+                }
+                rewritten[name] = rows.rows.length;
             }
+
+            await this.setEncryptionMarker(target);
+            return rewritten;
         });
+
+        this.useCipher(target);
+
+        await this.initializeSearchIndex();
+        if (this.ftsEnabled) {
+            await this.rebuildSearchIndex();
+        }
+        await this.backfillEmbeddings();
+        await this.query('VACUUM');
+
+        return counts;
     }
 
-    async initializeSQLiteSchema() {
-        // Simplified schema: single table for all memories instead of 4 complex tables
-        const schema = `
-            CREATE TABLE IF NOT EXISTS memories (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                content TEXT NOT NULL,
-                metadata TEXT, -- JSON: {importance, categories, keywords, type, project, session, etc.}
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    /**
+     * Assigns ULIDs (from created_at) to rows written without one, e.g. by
+     * older versions or durandal-migrate
+     */
+    async backfillMemoryIds() {
+        const missing = await this.query('SELECT id, created_at FROM memories WHERE uid IS NULL');
+
+        for (const row of missing.rows) {
+            const created = Date.parse(`${String(row.created_at || '').replace(' ', 'T')}Z`);
+            await this.query(
+                'UPDATE memories SET uid = ? WHERE id = ? AND uid IS NULL',
+                [ulid(Number.isFinite(created) ? created : Date.now()), row.id]
             );
+        }
 
-            CREATE INDEX IF NOT EXISTS idx_memories_created_at ON memories(created_at);
-            CREATE INDEX IF NOT EXISTS idx_memories_project ON memories(json_extract(metadata, '$.project')) WHERE json_extract(metadata, '$.project') IS NOT NULL;
-            CREATE INDEX IF NOT EXISTS idx_memories_session ON memories(json_extract(metadata, '$.session')) WHERE json_extract(metadata, '$.session') IS NOT NULL;
+        return { assigned: missing.rows.length };
+    }
 
-            -- Legacy compatibility: Keep existing tables for backward compatibility
-            CREATE TABLE IF NOT EXISTS projects (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT UNIQUE NOT NULL,
-                path TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            );
+    /**
+     * Hashes rows written without a content_hash (older versions,
+     * durandal-migrate)
+     */
+    async backfillContentHashes() {
+        // Locked databases are hashed once they are opened with their key
+        if (this.encryption.locked) {
+            return { hashed: 0 };
+        }
 
-            CREATE TABLE IF NOT EXISTS conversation_sessions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                project_id INTEGER NOT NULL,
-                session_name TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                is_active BOOLEAN DEFAULT 1,
-                FOREIGN KEY (project_id) REFERENCES projects (id)
-            );
+        const missing = await this.query('SELECT id, content FROM memories WHERE content_hash IS NULL');
+        for (const row of missing.rows) {
+            await this.query('UPDATE memories SET content_hash = ? WHERE id = ?', [this.contentHash(this.openContent(row.content)), row.id]);
+        }
 
-            CREATE TABLE IF NOT EXISTS conversation_messages (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                session_id INTEGER NOT NULL,
-                role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
-                content TEXT NOT NULL,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                metadata TEXT,
-                FOREIGN KEY (session_id) REFERENCES conversation_sessions (id)
-            );
-        `;
+        return { hashed: missing.rows.length };
+    }
 
-        return new Promise((resolve, reject) => {
-            this.client.exec(schema, (err) => {
+    /**
+     * Creates the FTS5 full-text index over memories.content
+     *
+     * The index is an external-content table kept in sync by triggers, so rows
+     * written by any client (including older versions) stay searchable once
+     * the index has been backfilled with rebuildSearchIndex().
+     * Falls back to LIKE search when SQLite was built without FTS5.
+     *
+     * Encrypted databases index the blind search terms of the metadata
+     * envelope instead, in a contentless table (the index keeps no copy).
+     */
+    async initializeSearchIndex() {
+        return new Promise((resolve) => {
+            this.client.exec(this.searchIndexSchema(this.encryption.enabled), (err) => {
                 if (err) {
-                    console.error('SQLite schema initialization failed:', err.message);
-                    reject(err);
+                    console.warn('[WARN] Full-text search unavailable, using LIKE search:', err.message);
+                    this.ftsEnabled = false;
                 } else {
-                    console.log('[OK] SQLite schema initialized');
-                    this.initialized = true;
-                    resolve();
+                    this.ftsEnabled = true;
                 }
+                resolve(this.ftsEnabled);
             });
         });
     }
 
+    searchIndexSchema(encrypted) {
+        if (encrypted) {
+            const terms = (row) => `json_extract(CASE WHEN json_valid(${row}.metadata) THEN ${row}.metadata END, '$.search_terms')`;
+            return `
+                CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+                    content,
+                    content='',
+                    tokenize='unicode61'
+                );
+
+                CREATE TRIGGER IF NOT EXISTS memories_fts_insert AFTER INSERT ON memories BEGIN
+                    INSERT INTO memories_fts(rowid, content) VALUES (new.id, ${terms('new')});
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS memories_fts_delete AFTER DELETE ON memories BEGIN
+                    INSERT INTO memories_fts(memories_fts, rowid, content) VALUES ('delete', old.id, ${terms('old')});
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS memories_fts_update AFTER UPDATE OF content, metadata ON memories BEGIN
+                    INSERT INTO memories_fts(memories_fts, rowid, content) VALUES ('delete', old.id, ${terms('old')});
+                    INSERT INTO memories_fts(rowid, content) VALUES (new.id, ${terms('new')});
+                END;
+            `;
+        }
+
+        return `
+            CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+                content,
+                content='memories',
+                content_rowid='id',
+                tokenize='porter unicode61'
+            );
+
+            CREATE TRIGGER IF NOT EXISTS memories_fts_insert AFTER INSERT ON memories BEGIN
+                INSERT INTO memories_fts(rowid, content) VALUES (new.id, new.content);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS memories_fts_delete AFTER DELETE ON memories BEGIN
+                INSERT INTO memories_fts(memories_fts, rowid, content) VALUES ('delete', old.id, old.content);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS memories_fts_update AFTER UPDATE OF content ON memories BEGIN
+                INSERT INTO memories_fts(memories_fts, rowid, content) VALUES ('delete', old.id, old.content);
+                INSERT INTO memories_fts(rowid, content) VALUES (new.id, new.content);
+            END;
+        `;
+    }
+
+    /**
+     * Drops the full-text index and its triggers, before the index is
+     * recreated for a database that was encrypted or decrypted
+     */
+    async dropSearchIndex() {
+        await new Promise((resolve, reject) => {
+            this.client.exec(`
+                DROP TRIGGER IF EXISTS memories_fts_insert;
+                DROP TRIGGER IF EXISTS memories_fts_delete;
+                DROP TRIGGER IF EXISTS memories_fts_update;
+                DROP TABLE IF EXISTS memories_fts;
+            `, (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    /**
+     * Reports how many memories are covered by the full-text index
+     */
+    async getSearchIndexStatus() {
+        await this.ready;
+
+        if (!this.ftsEnabled) {
+            return { enabled: false, indexed: 0, total: 0 };
+        }
+
+        const total = await this.query('SELECT COUNT(*) as count FROM memories');
+        const indexed = await this.query('SELECT COUNT(*) as count FROM memories_fts_docsize');
+
+        return {
+            enabled: true,
+            indexed: indexed.rows[0].count,
+            total: total.rows[0].count
+        };
+    }
+
+    /**
+     * Rebuilds the full-text index from the memories table (backfill)
+     */
+    async rebuildSearchIndex() {
+        await this.ready;
+
+        if (!this.ftsEnabled) {
+            return { success: false, error: 'Full-text search is not available' };
+        }
+
+        if (this.encryption.enabled) {
+            // Contentless tables cannot 'rebuild' from a content table
+            await this.query("INSERT INTO memories_fts(memories_fts) VALUES ('delete-all')");
+            await this.query(`
+                INSERT INTO memories_fts(rowid, content)
+                SELECT id, json_extract(metadata, '$.search_terms') FROM memories WHERE json_valid(metadata)
+            `);
+        } else {
+            await this.query("INSERT INTO memories_fts(memories_fts) VALUES ('rebuild')");
+        }
+        return { success: true };
+    }
+
+    /**
+     * Converts free text into an FTS5 query
+     *
+     * Each word becomes a quoted prefix term and terms are OR-ed together so
+     * partial matches are still returned, with BM25 ranking the best first.
+     * Encrypted databases match whole words only (their blind values).
+     * Returns null when the query has no searchable words.
+     */
+    buildFtsQuery(query) {
+        const terms = (query || '').match(/[\p{L}\p{N}_]+/gu);
+        if (!terms || terms.length === 0) {
+            return null;
+        }
+
+        return [...new Set(terms.map(t => t.toLowerCase()))]
+            .map(term => this.cipher ? `"${this.cipher.blind(term)}"` : `"${term}"*`)
+            .join(' OR ');
+    }
+
     async testConnection() {
         return new Promise((resolve) => {
             this.client.get('SELECT 1 as test', (err, row) => {
@@ -290,9 +686,73 @@ class MCPDatabaseClient {
     }
 
     async query(sql, params = []) {
+        if (this.schemaError) {
+            throw this.schemaError;
+        }
+        await this.outsideOtherTransactions();
         return await this.querySQLite(sql, params);
     }
 
+    /**
+     * Runs a script of several SQL statements (no parameters, no rows)
+     */
+    async exec(sql) {
+        if (this.schemaError) {
+            throw this.schemaError;
+        }
+        await this.outsideOtherTransactions();
+        return new Promise((resolve, reject) => {
+            this.client.exec(sql, (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    /**
+     * Runs fn inside a transaction, rolling back if it throws
+     *
+     * All callers share one connection, and SQLite cannot nest BEGIN on a
+     * connection, so transactions are queued and run one at a time. A
+     * transaction started inside fn joins the one already running.
+     */
+    async transaction(fn) {
+        if (transactionScope.getStore() === this) {
+            return await fn();
+        }
+
+        let finish;
+        const finished = new Promise(resolve => { finish = resolve; });
+        const previous = this.transactionQueue;
+        this.transactionQueue = previous.then(() => finished);
+        await previous;
+
+        this.activeTransaction = finished;
+        try {
+            return await transactionScope.run(this, async () => {
+                await this.query('BEGIN IMMEDIATE');
+                try {
+                    const result = await fn();
+                    await this.query('COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.query('ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            });
+        } finally {
+            this.activeTransaction = null;
+            finish();
+        }
+    }
+
+    /**
+     * Waits until no other caller's transaction is open, so a statement
+     * from outside it is neither part of it nor rolled back with it
+     */
+    async outsideOtherTransactions() {
+        while (this.activeTransaction && transactionScope.getStore() !== this) {
+            await this.activeTransaction;
+        }
+    }
+
     async querySQLite(sql, params = []) {
         return new Promise((resolve, reject) => {
             // Convert PostgreSQL-style parameters ($1, $2) to SQLite-style (?, ?)
@@ -321,7 +781,60 @@ class MCPDatabaseClient {
         });
     }
 
+    /**
+     * Copies the database to file with SQLite's online backup API, which
+     * gives a consistent copy even while other connections write to it
+     */
+    async backupTo(file) {
+        await this.ready;
+        await this.runBackup(this.client.backup(file));
+    }
+
+    /**
+     * Replaces the contents of the database with those of file, again with
+     * the online backup API (connections see the new contents at once)
+     */
+    async restoreFrom(file) {
+        await this.ready;
+        await this.runBackup(this.client.backup(file, 'main', 'main', false));
+    }
+
+    /**
+     * Copies all pages in one step; when another connection holds a lock
+     * the step is retried (up to ~5s) before giving up
+     */
+    async runBackup(backup, attempts = 50) {
+        const step = () => new Promise((resolve, reject) => {
+            backup.step(-1, (err) => err ? reject(err) : resolve());
+        });
+        const finish = () => new Promise((resolve) => backup.finish(() => resolve()));
+
+        try {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    await step();
+                } catch (error) {
+                    if (!['SQLITE_BUSY', 'SQLITE_LOCKED'].includes(error.code) || attempt >= attempts) {
+                        throw error;
+                    }
+                }
+                if (backup.completed) {
+                    return;
+                }
+                if (backup.failed || attempt >= attempts) {
+                    throw new Error(`Backup did not complete (${backup.remaining} pages remaining)`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        } finally {
+            await finish();
+        }
+    }
+
     async close() {
+        // Let the schema migration finish rather than cut it off
+        await this.ready;
+
         if (this.client) {
             return new Promise((resolve) => {
                 this.client.close((err) => {
@@ -334,107 +847,1356 @@ class MCPDatabaseClient {
         }
     }
 
-    // Simplified memory operations for MCP server
-    async storeMemory(content, metadata = {}) {
+    /**
+     * Store a memory
+     *
+     * options.uid lets the caller choose the ULID up front; storing the same
+     * uid twice is a no-op, so a retried write cannot create a duplicate.
+     * options.createdAt keeps the original timestamp (imports).
+     * options.owner, namespace and visibility default to the caller's
+     * identity (writes replayed from the outbox carry their original caller).
+     * Failures include the SQLite error code (e.g. SQLITE_BUSY) for retries.
+     */
+    async storeMemory(content, metadata = {}, options = {}) {
+        await this.ready;
+
         try {
+            const uid = options.uid || ulid();
+            const identity = this.caller();
+            const visibility = validateVisibility(options.visibility || identity.visibility || 'private');
             const result = await this.query(
-                'INSERT INTO memories (content, metadata, created_at) VALUES (?, ?, datetime(\'now\')) RETURNING id',
-                [content, JSON.stringify(metadata)]
+                `INSERT INTO memories (uid, content, content_hash, metadata, created_at, owner, namespace, visibility)
+                 VALUES (?, ?, ?, ?, COALESCE(datetime(?), datetime('now')), ?, ?, ?)
+                 ON CONFLICT (uid) DO NOTHING`,
+                [
+                    uid, this.sealContent(content), this.contentHash(content), this.serializeMetadata(metadata, content), options.createdAt || null,
+                    options.owner !== undefined ? options.owner : identity.user,
+                    options.namespace !== undefined ? options.namespace : identity.namespace,
+                    visibility
+                ]
             );
-            return { success: true, id: result.rows[0].id };
+
+            if (result.rowCount === 0) {
+                const existing = await this.query('SELECT id FROM memories WHERE uid = ?', [uid]);
+                return { success: true, id: existing.rows[0].id, uid, duplicate: true };
+            }
+
+            const id = result.rows[0].id;
+            await this.storeEmbedding(id, content, metadata);
+            return { success: true, id, uid };
         } catch (error) {
             console.warn('storeMemory error:', error.message);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, code: error.code };
         }
     }
 
-    async searchMemories(query, options = {}) {
-        try {
-            const { limit = 10, project, session } = options;
-            let queryStr = 'SELECT id, content, metadata, created_at FROM memories WHERE content LIKE ?';
-            let queryParams = [`%${query}%`];
-
-            // Add project filter if specified
-            if (project) {
-                queryStr += ' AND json_extract(metadata, \'$.project\') = ?';
-                queryParams.push(project);
-            }
+    /**
+     * Finds an existing memory that duplicates content: an exact match by
+     * content hash, else the most similar full-text candidate whose shingle
+     * similarity reaches the detector's threshold. Only memories the caller
+     * may change are considered, since a duplicate is merged into them.
+     * options: { project, threshold }
+     * Returns { memory, similarity, exact } or null
+     */
+    async findDuplicateMemory(content, options = {}) {
+        await this.ready;
 
-            // Add session filter if specified
-            if (session) {
-                queryStr += ' AND json_extract(metadata, \'$.session\') = ?';
-                queryParams.push(session);
-            }
+        const detector = new DuplicateDetector({ threshold: options.threshold });
 
-            queryStr += ' ORDER BY created_at DESC LIMIT ?';
-            queryParams.push(limit);
+        const expiry = this.expiryCondition();
+        const access = this.accessCondition('', 'write');
+        let queryStr = `SELECT id, uid, content, metadata, created_at, owner, visibility FROM memories WHERE content_hash = ?${expiry.sql}${access.sql}`;
+        const queryParams = [this.contentHash(content), ...expiry.params, ...access.params];
 
-            const result = await this.query(queryStr, queryParams);
+        if (options.project) {
+            queryStr += ' AND json_extract(metadata, \'$.project\') = ?';
+            queryParams.push(options.project);
+        }
 
-            return result.rows.map(row => ({
-                id: row.id,
-                content: row.content,
-                metadata: row.metadata ? JSON.parse(row.metadata) : {},
-                created_at: row.created_at
-            }));
-        } catch (error) {
-            console.warn('searchMemories error:', error.message);
-            return [];
+        const exact = await this.query(queryStr + ' ORDER BY id LIMIT 1', queryParams);
+        if (exact.rows.length > 0) {
+            return { memory: this.mapMemoryRow(exact.rows[0]), similarity: 1, exact: true };
         }
+
+        const candidates = await this.searchMemoriesKeyword(detector.candidateQuery(content), {
+            limit: 20,
+            project: options.project,
+            access: 'write'
+        });
+        return detector.findDuplicate(content, candidates.memories);
     }
 
-    async getRecentMemories(limit = 10, project = null, session = null) {
-        try {
-            let queryStr = 'SELECT id, content, metadata, created_at FROM memories';
-            let queryParams = [];
-            const conditions = [];
+    /**
+     * SQL conditions for the filters every search mode supports
+     *
+     * filters: { project, session, type, categories, keywords, pinned,
+     * importanceMin, importanceMax, createdAfter, createdBefore }. categories and keywords
+     * match memories having any of the given values (case-insensitive);
+     * memories without an importance never match an importance bound.
+     * In encrypted databases tags are compared by their blind values.
+     * alias is the table alias with its dot (e.g. 'm.'). archived_memories
+     * has no memory_tags, so there tags are matched with json_each directly.
+     * Expired memories never match (archived ones are kept findable), nor
+     * do memories the caller may not read (filters.access: 'write' limits
+     * them to the ones the caller may change; see accessCondition).
+     * Returns { sql: ' AND ...', params }
+     */
+    buildFilterConditions(filters = {}, alias = '', archived = false) {
+        const field = (name) => `json_extract(${alias}metadata, '$.${name}')`;
+        const access = this.accessCondition(alias, filters.access);
+        let sql = access.sql;
+        const params = [...access.params];
 
-            if (project) {
-                conditions.push('json_extract(metadata, \'$.project\') = ?');
-                queryParams.push(project);
-            }
+        if (!archived) {
+            const expiry = this.expiryCondition(alias);
+            sql += expiry.sql;
+            params.push(...expiry.params);
+        }
 
-            if (session) {
-                conditions.push('json_extract(metadata, \'$.session\') = ?');
-                queryParams.push(session);
+        for (const name of ['project', 'session', 'type']) {
+            if (filters[name]) {
+                sql += ` AND ${field(name)} = ?`;
+                params.push(filters[name]);
             }
+        }
 
-            if (conditions.length > 0) {
-                queryStr += ' WHERE ' + conditions.join(' AND ');
-            }
+        for (const [kind, path, values] of [['category', 'categories', filters.categories], ['keyword', 'keywords', filters.keywords]]) {
+            const wanted = (values || []).map(value => String(value).toLowerCase())
+                .map(value => this.cipher ? this.cipher.blind(value) : value);
+            if (wanted.length === 0) continue;
 
-            queryStr += ' ORDER BY created_at DESC LIMIT ?';
-            queryParams.push(limit);
+            const placeholders = wanted.map(() => '?').join(', ');
+            sql += archived
+                ? ` AND EXISTS (SELECT 1 FROM json_each(${alias}metadata, '$.${path}') WHERE lower(value) IN (${placeholders}))`
+                : ` AND ${alias}id IN (SELECT memory_id FROM memory_tags WHERE kind = '${kind}' AND value IN (${placeholders}))`;
+            params.push(...wanted);
+        }
 
-            const result = await this.query(queryStr, queryParams);
+        if (filters.pinned) {
+            sql += ` AND ${field('pinned')} = 1`;
+        }
 
-            return result.rows.map(row => ({
-                id: row.id,
-                content: row.content,
-                metadata: row.metadata ? JSON.parse(row.metadata) : {},
+        if (filters.importanceMin !== undefined && filters.importanceMin !== null) {
+            sql += ` AND ${field('importance')} >= ?`;
+            params.push(filters.importanceMin);
+        }
+
+        if (filters.importanceMax !== undefined && filters.importanceMax !== null) {
+            sql += ` AND ${field('importance')} <= ?`;
+            params.push(filters.importanceMax);
+        }
+
+        if (filters.createdAfter) {
+            sql += ` AND ${alias}created_at >= datetime(?)`;
+            params.push(filters.createdAfter);
+        }
+
+        if (filters.createdBefore) {
+            sql += ` AND ${alias}created_at < datetime(?)`;
+            params.push(filters.createdBefore);
+        }
+
+        return { sql, params };
+    }
+
+    /**
+     * SQL expression for a metadata field (portable queries use this rather
+     * than json_extract; see mcp-pg-client.js)
+     */
+    metadataField(name, alias = '') {
+        return `json_extract(${alias}metadata, '$.${name}')`;
+    }
+
+    /**
+     * SQL condition excluding memories whose metadata.expires_at has passed
+     * (expires_at is stored as an ISO timestamp, so strings compare in time order)
+     * Returns { sql: ' AND ...', params }
+     */
+    expiryCondition(alias = '') {
+        const expiresAt = `json_extract(${alias}metadata, '$.expires_at')`;
+        return {
+            sql: ` AND (${expiresAt} IS NULL OR ${expiresAt} > ?)`,
+            params: [new Date().toISOString()]
+        };
+    }
+
+    /**
+     * Whether this backend implements operation (every one, on SQLite;
+     * see MCPPostgresClient.supports)
+     */
+    supports(operation) {
+        return typeof this[operation] === 'function';
+    }
+
+    /**
+     * The identity of the current request (see access-control.js), else
+     * the identity this process was configured with
+     */
+    caller() {
+        return currentIdentity() || this.identity;
+    }
+
+    /**
+     * SQL condition limiting rows to those the caller may read or, with
+     * access 'write', change. Readable: unowned memories, the caller's own,
+     * public ones, team ones in the caller's namespace, and memories of a
+     * project shared with the caller. Writable: unowned, own, and projects
+     * shared for writing. System callers see everything.
+     * Returns { sql: ' AND ...', params }
+     */
+    accessCondition(alias = '', access = 'read') {
+        const identity = this.caller();
+        if (identity.system) {
+            return { sql: '', params: [] };
+        }
+
+        const shared = `EXISTS (SELECT 1 FROM project_shares s WHERE s.owner = ${alias}owner
+                        AND s.project = json_extract(${alias}metadata, '$.project') AND s.user = ?${access === 'write' ? ' AND s.permission = \'write\'' : ''})`;
+        if (access === 'write') {
+            return {
+                sql: ` AND (${alias}owner IS NULL OR ${alias}owner = ? OR ${shared})`,
+                params: [identity.user, identity.user]
+            };
+        }
+        return {
+            sql: ` AND (${alias}owner IS NULL OR ${alias}owner = ? OR ${alias}visibility = 'public'
+                   OR (${alias}visibility = 'team' AND ${alias}namespace = ?) OR ${shared})`,
+            params: [identity.user, identity.namespace, identity.user]
+        };
+    }
+
+    /**
+     * expiryCondition and accessCondition together: the memories the
+     * caller can currently see
+     * Returns { sql: ' AND ...', params }
+     */
+    visibleCondition(alias = '') {
+        const expiry = this.expiryCondition(alias);
+        const access = this.accessCondition(alias);
+        return { sql: expiry.sql + access.sql, params: [...expiry.params, ...access.params] };
+    }
+
+    /**
+     * The failure returned when the caller may not change a memory
+     */
+    writeDenied(memory) {
+        return {
+            success: false,
+            code: 'ACCESS_DENIED',
+            error: `Memory ${memory.uid} belongs to ${memory.owner}; only its owner, or users its project is shared with for writing, can change it`
+        };
+    }
+
+    /**
+     * True if the caller may change the memory with this row id
+     * (table: memories or archived_memories)
+     */
+    async canWrite(id, table = 'memories') {
+        const access = this.accessCondition('', 'write');
+        const result = await this.query(`SELECT 1 AS writable FROM ${table} WHERE id = ?${access.sql}`, [id, ...access.params]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Search memories
+     *
+     * options.mode selects the ranking:
+     * - 'keyword' (default): BM25 full-text search, LIKE fallback
+     * - 'semantic': cosine similarity of offline embeddings
+     * - 'hybrid': reciprocal rank fusion of keyword and semantic rankings
+     *
+     * Filters (see buildFilterConditions) are applied in SQL in every mode.
+     */
+    async searchMemories(query, options = {}) {
+        return (await this.searchMemoriesPage(query, options)).memories;
+    }
+
+    /**
+     * searchMemories plus the total number of matches, for paging
+     *
+     * options.sort: relevance (default) or any order of buildSortClause
+     * options.offset: matches to skip
+     * Returns { memories, total }
+     */
+    async searchMemoriesPage(query, options = {}) {
+        await this.ready;
+
+        switch (options.mode) {
+            case 'semantic':
+                return await this.searchMemoriesSemantic(query, options);
+            case 'hybrid':
+                return await this.searchMemoriesHybrid(query, options);
+            default:
+                return await this.searchMemoriesKeyword(query, options);
+        }
+    }
+
+    async searchMemoriesKeyword(query, options = {}) {
+        const ftsQuery = this.ftsEnabled ? this.buildFtsQuery(query) : null;
+        if (!ftsQuery) {
+            return await this.searchMemoriesLike(query, options);
+        }
+
+        try {
+            const { limit = 10, offset = 0, sort = 'relevance' } = options;
+            const filters = this.buildFilterConditions(options, 'm.');
+            const from = `
+                FROM memories_fts
+                JOIN memories m ON m.id = memories_fts.rowid
+                WHERE memories_fts MATCH ?${filters.sql}
+            `;
+
+            // bm25() is lower-is-better; the contentless index of an encrypted
+            // database has no text to take snippets from
+            const order = sort === 'relevance'
+                ? { sql: 'rank, m.created_at DESC', params: [] }
+                : this.buildSortClause(sort, 'm.', options.accessCounts);
+
+            const result = await this.query(
+                `SELECT m.id, m.uid, m.content, m.metadata, m.created_at, m.owner, m.visibility,
+                        bm25(memories_fts) AS rank,
+                        ${this.encryption.enabled ? 'NULL' : 'snippet(memories_fts, 0, \'**\', \'**\', \'...\', 16)'} AS snippet
+                 ${from}
+                 ORDER BY ${order.sql} LIMIT ? OFFSET ?`,
+                [ftsQuery, ...filters.params, ...order.params, limit, offset]
+            );
+            const total = await this.query(`SELECT COUNT(*) AS count ${from}`, [ftsQuery, ...filters.params]);
+
+            return {
+                memories: result.rows.map(row => ({
+                    ...this.mapMemoryRow(row),
+                    score: -row.rank,
+                    snippet: row.snippet
+                })),
+                total: total.rows[0].count
+            };
+        } catch (error) {
+            console.warn('searchMemories FTS error, falling back to LIKE:', error.message);
+            return await this.searchMemoriesLike(query, options);
+        }
+    }
+
+    async searchMemoriesLike(query, options = {}) {
+        try {
+            const { limit = 10, offset = 0, sort = 'newest' } = options;
+            const filters = this.buildFilterConditions(options);
+            // Encrypted content can only be matched word by word
+            const terms = this.cipher ? ((query || '').match(/[\p{L}\p{N}_]+/gu) || []) : [query];
+            const matches = terms.map(term => this.contentMatch(term));
+            const where = `WHERE (${matches.map(match => match.sql).join(' AND ') || '1=1'})${filters.sql}`;
+            const params = [...matches.flatMap(match => match.params), ...filters.params];
+            const order = this.buildSortClause(sort, '', options.accessCounts);
+
+            const result = await this.query(
+                `SELECT id, uid, content, metadata, created_at, owner, visibility FROM memories ${where} ORDER BY ${order.sql} LIMIT ? OFFSET ?`,
+                [...params, ...order.params, limit, offset]
+            );
+            const total = await this.query(`SELECT COUNT(*) AS count FROM memories ${where}`, params);
+
+            return {
+                memories: result.rows.map(row => this.mapMemoryRow(row)),
+                total: total.rows[0].count
+            };
+        } catch (error) {
+            console.warn('searchMemoriesLike error:', error.message);
+            return { memories: [], total: 0 };
+        }
+    }
+
+    /**
+     * LIKE condition for content containing term; encrypted content is
+     * matched on the blind search terms of its metadata envelope
+     * Returns { sql, params }
+     */
+    contentMatch(term) {
+        if (this.cipher) {
+            return {
+                sql: '(\' \' || json_extract(metadata, \'$.search_terms\') || \' \') LIKE ?',
+                params: [`% ${this.cipher.blind(String(term).toLowerCase())} %`]
+            };
+        }
+        return { sql: 'content LIKE ?', params: [`%${term}%`] };
+    }
+
+    async searchMemoriesSemantic(query, options = {}) {
+        try {
+            const { limit = 10, offset = 0, sort = 'relevance', minSimilarity = 0.15 } = options;
+            const filters = this.buildFilterConditions(options, 'm.');
+            const queryStr = `
+                SELECT m.id, m.uid, m.content, m.metadata, m.created_at, m.owner, m.visibility, e.embedding
+                FROM memory_embeddings e
+                JOIN memories m ON m.id = e.memory_id
+                WHERE 1=1${filters.sql}
+            `;
+
+            const result = await this.query(queryStr, filters.params);
+            const queryVector = this.embedder.embed(query);
+
+            // Brute-force scan: local memory stores are small enough for this
+            const matches = result.rows
+                .map(row => ({
+                    ...this.mapMemoryRow(row),
+                    score: this.embedder.similarity(queryVector, this.embedder.fromBuffer(row.embedding))
+                }))
+                .filter(row => row.score >= minSimilarity)
+                .sort(this.compareMemories(sort, options.accessCounts));
+
+            return {
+                memories: matches.slice(offset, limit < 0 ? undefined : offset + limit),
+                total: matches.length
+            };
+        } catch (error) {
+            console.warn('searchMemoriesSemantic error:', error.message);
+            return { memories: [], total: 0 };
+        }
+    }
+
+    /**
+     * Fuses keyword and semantic rankings with reciprocal rank fusion
+     * (score = sum of 1 / (k + rank)), which needs no score normalisation.
+     * Both full rankings are fused so totals and later pages are exact.
+     */
+    async searchMemoriesHybrid(query, options = {}) {
+        const { limit = 10, offset = 0, sort = 'relevance' } = options;
+        const k = 60;
+        const candidates = { ...options, sort: 'relevance', limit: -1, offset: 0 };
+
+        const [keywordResults, semanticResults] = await Promise.all([
+            this.searchMemoriesKeyword(query, candidates),
+            this.searchMemoriesSemantic(query, candidates)
+        ]);
+
+        const fused = new Map();
+        const addRanking = (results, source) => {
+            results.forEach((result, index) => {
+                const entry = fused.get(result.id) || { ...result, score: 0, matchedBy: [] };
+                entry.score += 1 / (k + index + 1);
+                entry.matchedBy.push(source);
+                if (result.snippet) entry.snippet = result.snippet;
+                fused.set(result.id, entry);
+            });
+        };
+
+        addRanking(keywordResults.memories, 'keyword');
+        addRanking(semanticResults.memories, 'semantic');
+
+        const matches = [...fused.values()].sort(this.compareMemories(sort, options.accessCounts));
+
+        return {
+            memories: matches.slice(offset, offset + limit),
+            total: matches.length
+        };
+    }
+
+    /**
+     * ORDER BY for a sort order (see SORT_ORDERS); alias as in buildFilterConditions
+     *
+     * Memories without an importance sort as 0.5. most_accessed ranks by
+     * accessCounts, an object of uid -> number of accesses.
+     * Returns { sql, params }
+     */
+    buildSortClause(sort, alias = '', accessCounts = {}) {
+        const newest = `${alias}created_at DESC, ${alias}id DESC`;
+
+        switch (sort) {
+            case 'oldest':
+                return { sql: `${alias}created_at ASC, ${alias}id ASC`, params: [] };
+            case 'importance':
+                return { sql: `COALESCE(json_extract(${alias}metadata, '$.importance'), 0.5) DESC, ${newest}`, params: [] };
+            case 'most_accessed':
+                return {
+                    sql: `COALESCE((SELECT value FROM json_each(?) WHERE key = ${alias}uid), 0) DESC, ${newest}`,
+                    params: [JSON.stringify(accessCounts || {})]
+                };
+            default:
+                return { sql: newest, params: [] };
+        }
+    }
+
+    /**
+     * The orders of buildSortClause (plus relevance: score) for results
+     * ranked in JavaScript
+     */
+    compareMemories(sort, accessCounts = {}) {
+        const newest = (a, b) => String(b.created_at).localeCompare(String(a.created_at)) || b.id - a.id;
+        const importance = (memory) => typeof memory.metadata.importance === 'number' ? memory.metadata.importance : 0.5;
+        const accesses = (memory) => (accessCounts || {})[memory.uid] || 0;
+
+        switch (sort) {
+            case 'relevance':
+                return (a, b) => b.score - a.score;
+            case 'oldest':
+                return (a, b) => -newest(a, b);
+            case 'importance':
+                return (a, b) => importance(b) - importance(a) || newest(a, b);
+            case 'most_accessed':
+                return (a, b) => accesses(b) - accesses(a) || newest(a, b);
+            default:
+                return newest;
+        }
+    }
+
+    /**
+     * Stores (or replaces) the embedding for a memory
+     * Failures are logged but never fail the write of the memory itself
+     */
+    async storeEmbedding(id, content, metadata = {}) {
+        try {
+            const vector = this.embedder.embed(content, metadata);
+            await this.query(
+                'INSERT OR REPLACE INTO memory_embeddings (memory_id, embedding, model, created_at) VALUES (?, ?, ?, datetime(\'now\'))',
+                [id, this.embedder.toBuffer(vector), this.embedder.model]
+            );
+            return true;
+        } catch (error) {
+            console.warn('storeEmbedding error:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Embeds memories that have no embedding yet (or one from an older model)
+     */
+    async backfillEmbeddings() {
+        await this.ready;
+
+        const result = await this.query(`
+            SELECT m.id, m.content, m.metadata
+            FROM memories m
+            LEFT JOIN memory_embeddings e ON e.memory_id = m.id
+            WHERE e.memory_id IS NULL OR e.model != ?
+        `, [this.embedder.model]);
+
+        let embedded = 0;
+        for (const row of result.rows) {
+            let metadata = {};
+            try {
+                metadata = this.openMetadata(row.metadata);
+            } catch (e) {
+                // Unparseable legacy metadata - embed content only
+            }
+
+            if (await this.storeEmbedding(row.id, this.openContent(row.content), metadata)) {
+                embedded++;
+            }
+        }
+
+        return { pending: result.rows.length, embedded };
+    }
+
+    async getRecentMemories(limit = 10, project = null, session = null) {
+        try {
+            const expiry = this.expiryCondition();
+            const access = this.accessCondition();
+            let queryStr = 'SELECT id, uid, content, metadata, created_at, owner, visibility FROM memories WHERE 1=1' + expiry.sql + access.sql;
+            let queryParams = [...expiry.params, ...access.params];
+            const conditions = [];
+
+            if (project) {
+                conditions.push('json_extract(metadata, \'$.project\') = ?');
+                queryParams.push(project);
+            }
+
+            if (session) {
+                conditions.push('json_extract(metadata, \'$.session\') = ?');
+                queryParams.push(session);
+            }
+
+            if (conditions.length > 0) {
+                queryStr += ' AND ' + conditions.join(' AND ');
+            }
+
+            queryStr += ' ORDER BY created_at DESC LIMIT ?';
+            queryParams.push(limit);
+
+            const result = await this.query(queryStr, queryParams);
+
+            return result.rows.map(row => this.mapMemoryRow(row));
+        } catch (error) {
+            console.warn('getRecentMemories error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * One page of memories matching the filters of buildFilterConditions
+     * options: { ...filters, sort (default: newest), limit, offset, accessCounts }
+     * Returns { memories, total }
+     */
+    async listMemories(options = {}) {
+        await this.ready;
+
+        const { limit = 10, offset = 0, sort = 'newest' } = options;
+        const filters = this.buildFilterConditions(options);
+        const order = this.buildSortClause(sort, '', options.accessCounts);
+
+        const result = await this.query(
+            `SELECT id, uid, content, metadata, created_at, owner, visibility FROM memories WHERE 1=1${filters.sql} ORDER BY ${order.sql} LIMIT ? OFFSET ?`,
+            [...filters.params, ...order.params, limit, offset]
+        );
+        const total = await this.query(`SELECT COUNT(*) AS count FROM memories WHERE 1=1${filters.sql}`, filters.params);
+
+        return {
+            memories: result.rows.map(row => this.mapMemoryRow(row)),
+            total: total.rows[0].count
+        };
+    }
+
+    /**
+     * The memories the caller can see, counted per value of one or more
+     * metadata fields (memories without the first field are left out)
+     * options: { order: 'latest' (default) or 'count', limit }
+     * Returns [{ <field>: value, ..., count, first_memory, last_memory }]
+     */
+    async groupMemories(fields, options = {}) {
+        await this.ready;
+
+        const visible = this.visibleCondition();
+        const columns = fields.map(name => `${this.metadataField(name)} AS ${name}`).join(', ');
+        const order = options.order === 'count' ? 'count DESC' : 'MAX(created_at) DESC';
+        const result = await this.query(
+            `SELECT ${columns}, COUNT(*) AS count, MIN(created_at) AS first_memory, MAX(created_at) AS last_memory
+             FROM memories WHERE ${this.metadataField(fields[0])} IS NOT NULL${visible.sql}
+             GROUP BY ${fields.map(name => this.metadataField(name)).join(', ')}
+             ORDER BY ${order}${options.limit ? ' LIMIT ?' : ''}`,
+            [...visible.params, ...(options.limit ? [options.limit] : [])]
+        );
+        return result.rows;
+    }
+
+    /**
+     * How many unexpired memories, projects and sessions the caller can read
+     * Returns { memories, projects, sessions }
+     */
+    async getMemoryCounts() {
+        await this.ready;
+
+        const visible = this.visibleCondition();
+        const project = this.metadataField('project');
+        const session = this.metadataField('session');
+        const result = await this.query(
+            `SELECT COUNT(*) AS memories, COUNT(DISTINCT ${project}) AS projects, COUNT(DISTINCT ${session}) AS sessions
+             FROM memories WHERE 1=1${visible.sql}`,
+            visible.params
+        );
+        const row = result.rows[0];
+        return { memories: Number(row.memories) || 0, projects: Number(row.projects) || 0, sessions: Number(row.sessions) || 0 };
+    }
+
+    /**
+     * All memories matching the export filters, oldest first
+     * filters: { project, session, createdAfter, createdBefore }
+     */
+    async getMemoriesForExport(filters = {}) {
+        await this.ready;
+
+        const conditions = this.buildFilterConditions(filters);
+        const result = await this.query(
+            `SELECT id, uid, content, metadata, created_at, owner, visibility FROM memories WHERE 1=1${conditions.sql} ORDER BY created_at, id`,
+            conditions.params
+        );
+        return result.rows.map(row => this.mapMemoryRow(row));
+    }
+
+    /**
+     * Links whose endpoints are both among the given memory IDs, with uids
+     */
+    async getLinksBetween(ids) {
+        const wanted = new Set(ids);
+        const result = await this.query(`
+            SELECT l.source_id, s.uid AS source_uid, l.target_id, t.uid AS target_uid,
+                   l.link_type, l.strength, l.inferred, l.metadata, l.created_at
+            FROM memory_links l
+            JOIN memories s ON s.id = l.source_id
+            JOIN memories t ON t.id = l.target_id
+            ORDER BY l.id
+        `);
+
+        return result.rows
+            .filter(row => wanted.has(row.source_id) && wanted.has(row.target_id))
+            .map(row => ({
+                source_id: row.source_id,
+                source_uid: row.source_uid || String(row.source_id),
+                target_id: row.target_id,
+                target_uid: row.target_uid || String(row.target_id),
+                link_type: row.link_type,
+                strength: row.strength,
+                inferred: !!row.inferred,
+                metadata: row.metadata ? JSON.parse(row.metadata) : null,
                 created_at: row.created_at
             }));
+    }
+
+    /**
+     * Update a memory's content and/or metadata
+     * The previous content and metadata are kept in memory_versions, with
+     * updates.reason recorded as the reason for the change.
+     * updates.visibility can only be changed by the owner; giving an
+     * unowned memory a visibility makes the caller its owner.
+     */
+    async updateMemory(id, updates = {}) {
+        try {
+            // Read, check and write in one transaction, so concurrent updates
+            // each merge into what the previous one wrote and the saved
+            // version is the row the merge started from
+            const outcome = await this.transaction(async () => {
+                const existing = await this.getMemoryById(id);
+                if (!existing) {
+                    return { refused: { success: false, error: `Memory ${id} not found` } };
+                }
+                if (!(await this.canWrite(existing.id))) {
+                    return { refused: this.writeDenied(existing) };
+                }
+
+                const identity = this.caller();
+                let { owner, visibility } = existing;
+                let namespace = null;
+                if (updates.visibility !== undefined) {
+                    if (owner && owner !== identity.user && !identity.system) {
+                        return {
+                            refused: {
+                                success: false,
+                                code: 'ACCESS_DENIED',
+                                error: `Only ${owner} can change the visibility of memory ${existing.uid}`
+                            }
+                        };
+                    }
+                    visibility = validateVisibility(updates.visibility);
+                    if (!owner && !identity.system) {
+                        owner = identity.user;
+                        namespace = identity.namespace;
+                    }
+                }
+
+                // Content is replaced, metadata is shallow-merged into what is stored
+                // (or replaced outright with updates.replaceMetadata)
+                const content = updates.content !== undefined ? updates.content : existing.content;
+                const metadata = updates.replaceMetadata
+                    ? { ...(updates.metadata || {}) }
+                    : { ...existing.metadata, ...(updates.metadata || {}) };
+
+                // The current row becomes the next version in memory_versions
+                await this.query(
+                    `INSERT INTO memory_versions (memory_id, version, content, metadata, reason)
+                     SELECT id, COALESCE((SELECT MAX(version) FROM memory_versions WHERE memory_id = ?), 0) + 1, content, metadata, ?
+                     FROM memories WHERE id = ?`,
+                    [existing.id, updates.reason || null, existing.id]
+                );
+                const result = await this.query(
+                    `UPDATE memories SET content = ?, content_hash = ?, metadata = ?, visibility = ?,
+                        owner = ?, namespace = COALESCE(?, namespace) WHERE id = ?`,
+                    [this.sealContent(content), this.contentHash(content), this.serializeMetadata(metadata, content), visibility, owner, namespace, existing.id]
+                );
+                return { existing, content, metadata, owner, visibility, updated: result.rowCount > 0 };
+            });
+            if (outcome.refused) {
+                return outcome.refused;
+            }
+
+            const { existing, content, metadata, owner, visibility } = outcome;
+            await this.storeEmbedding(existing.id, content, metadata);
+
+            return {
+                success: outcome.updated,
+                id: existing.id,
+                memory: {
+                    id: existing.id,
+                    uid: existing.uid,
+                    content,
+                    metadata,
+                    created_at: existing.created_at,
+                    owner,
+                    visibility
+                }
+            };
         } catch (error) {
-            console.warn('getRecentMemories error:', error.message);
+            console.warn('updateMemory error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Earlier versions of a memory (row id), oldest first
+     */
+    async getMemoryVersions(id) {
+        const access = this.accessCondition();
+        const result = await this.query(
+            `SELECT version, content, metadata, reason, created_at FROM memory_versions
+             WHERE memory_id = ? AND memory_id IN (SELECT id FROM memories WHERE 1=1${access.sql}) ORDER BY version`,
+            [id, ...access.params]
+        );
+
+        return result.rows.map(row => ({
+            version: row.version,
+            content: this.openContent(row.content),
+            metadata: this.openMetadata(row.metadata),
+            reason: row.reason,
+            created_at: row.created_at
+        }));
+    }
+
+    /**
+     * Puts a memory's content and metadata back to an earlier version.
+     * The state being replaced is versioned too, so a revert can be undone.
+     */
+    async revertMemory(id, version) {
+        try {
+            const existing = await this.getMemoryById(id);
+            if (!existing) {
+                return { success: false, error: `Memory ${id} not found` };
+            }
+
+            const result = await this.query(
+                'SELECT content, metadata FROM memory_versions WHERE memory_id = ? AND version = ?',
+                [existing.id, version]
+            );
+            if (result.rows.length === 0) {
+                return { success: false, error: `Memory ${existing.uid} has no version ${version}` };
+            }
+
+            const snapshot = result.rows[0];
+            return await this.updateMemory(existing.id, {
+                content: this.openContent(snapshot.content),
+                metadata: this.openMetadata(snapshot.metadata),
+                replaceMetadata: true,
+                reason: `revert to version ${version}`
+            });
+        } catch (error) {
+            console.warn('revertMemory error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteMemory(id) {
+        try {
+            // All or nothing: a failure part way must not leave links or
+            // versions behind, or drop the history of a memory that stays
+            return await this.transaction(async () => {
+                // Memories the caller cannot see are reported as not deleted
+                if (!(await this.canWrite(id))) {
+                    const existing = await this.getMemoryById(id);
+                    return existing ? this.writeDenied(existing) : { success: true, id, deleted: false };
+                }
+
+                await this.query('DELETE FROM access_log WHERE memory_uid IN (SELECT uid FROM memories WHERE id = ?)', [id]);
+                const result = await this.query('DELETE FROM memories WHERE id = ?', [id]);
+                if (result.rowCount > 0) {
+                    await this.query('DELETE FROM memory_links WHERE source_id = ? OR target_id = ?', [id, id]);
+                    await this.query('DELETE FROM memory_versions WHERE memory_id = ?', [id]);
+                }
+                return { success: true, id, deleted: result.rowCount > 0 };
+            });
+        } catch (error) {
+            console.warn('deleteMemory error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Creates a typed link between two memories
+     * Re-linking the same pair with the same type updates strength/metadata
+     */
+    async linkMemories(sourceId, targetId, linkType, options = {}) {
+        try {
+            if (!LINK_TYPES.includes(linkType)) {
+                return { success: false, error: `Unknown link type: ${linkType}` };
+            }
+            if (sourceId === targetId) {
+                return { success: false, error: 'A memory cannot be linked to itself' };
+            }
+
+            const access = this.accessCondition();
+            const found = await this.query(
+                `SELECT id, uid, owner FROM memories WHERE id IN (?, ?)${access.sql}`,
+                [sourceId, targetId, ...access.params]
+            );
+            if (found.rows.length < 2) {
+                const existing = found.rows.map(r => r.id);
+                const missing = [sourceId, targetId].filter(id => !existing.includes(id));
+                return { success: false, error: `Memory not found: ${missing.join(', ')}` };
+            }
+
+            // A link is recorded on its source memory
+            if (!(await this.canWrite(sourceId))) {
+                return this.writeDenied(found.rows.find(row => row.id === sourceId));
+            }
+
+            const { strength = 1.0, inferred = false, metadata = null } = options;
+            await this.query(
+                `INSERT INTO memory_links (source_id, target_id, link_type, strength, inferred, metadata)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT (source_id, target_id, link_type)
+                 DO UPDATE SET strength = excluded.strength, metadata = excluded.metadata`,
+                [sourceId, targetId, linkType, strength, inferred ? 1 : 0, metadata ? JSON.stringify(metadata) : null]
+            );
+
+            return { success: true, source_id: sourceId, target_id: targetId, link_type: linkType };
+        } catch (error) {
+            console.warn('linkMemories error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * The uids, among uids, of memories the caller can see
+     */
+    async readableUids(uids) {
+        await this.ready;
+
+        const visible = this.visibleCondition();
+        const found = [];
+        for (let start = 0; start < uids.length; start += 500) {
+            const batch = uids.slice(start, start + 500);
+            const result = await this.query(
+                `SELECT uid FROM memories WHERE uid IN (${batch.map(() => '?').join(', ')})${visible.sql}`,
+                [...batch, ...visible.params]
+            );
+            found.push(...result.rows.map(row => row.uid));
+        }
+        return found;
+    }
+
+    /**
+     * True if a memory has this uid, whoever owns it and even if it has
+     * expired (for keeping uids unique, e.g. on import)
+     */
+    async hasMemory(uid) {
+        const result = await this.query('SELECT 1 AS found FROM memories WHERE uid = ? LIMIT 1', [String(uid).toUpperCase()]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * True if the two memories are linked in either direction by any type
+     */
+    async hasLink(idA, idB) {
+        const result = await this.query(
+            'SELECT 1 AS linked FROM memory_links WHERE (source_id = ? AND target_id = ?) OR (source_id = ? AND target_id = ?) LIMIT 1',
+            [idA, idB, idB, idA]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Returns Map(memoryId -> [{ id, link_type, direction, strength, inferred, content }])
+     * covering both outgoing and incoming links of the given memories
+     */
+    async getLinkedMemories(ids) {
+        const links = new Map();
+        const memoryIds = ids.filter(id => Number.isInteger(id));
+        if (memoryIds.length === 0) {
+            return links;
+        }
+
+        try {
+            const placeholders = memoryIds.map(() => '?').join(', ');
+            const expiry = this.expiryCondition('m.');
+            const access = this.accessCondition('m.');
+            const result = await this.query(`
+                SELECT l.source_id AS memory_id, l.target_id AS linked_id, m.uid AS linked_uid, 'outgoing' AS direction,
+                       l.link_type, l.strength, l.inferred, m.content
+                FROM memory_links l JOIN memories m ON m.id = l.target_id
+                WHERE l.source_id IN (${placeholders})${expiry.sql}${access.sql}
+                UNION ALL
+                SELECT l.target_id AS memory_id, l.source_id AS linked_id, m.uid AS linked_uid, 'incoming' AS direction,
+                       l.link_type, l.strength, l.inferred, m.content
+                FROM memory_links l JOIN memories m ON m.id = l.source_id
+                WHERE l.target_id IN (${placeholders})${expiry.sql}${access.sql}
+                ORDER BY strength DESC
+            `, [...memoryIds, ...expiry.params, ...access.params, ...memoryIds, ...expiry.params, ...access.params]);
+
+            for (const row of result.rows) {
+                if (!links.has(row.memory_id)) {
+                    links.set(row.memory_id, []);
+                }
+                links.get(row.memory_id).push({
+                    id: row.linked_id,
+                    uid: row.linked_uid || String(row.linked_id),
+                    link_type: row.link_type,
+                    direction: row.direction,
+                    strength: row.strength,
+                    inferred: !!row.inferred,
+                    content: this.openContent(row.content)
+                });
+            }
+        } catch (error) {
+            console.warn('getLinkedMemories error:', error.message);
+        }
+
+        return links;
+    }
+
+    /**
+     * Returns Map(memoryId -> Float32Array) of stored embeddings
+     */
+    async getEmbeddings(ids) {
+        const vectors = new Map();
+        if (ids.length === 0) {
+            return vectors;
+        }
+
+        const placeholders = ids.map(() => '?').join(', ');
+        const result = await this.query(
+            `SELECT memory_id, embedding FROM memory_embeddings WHERE memory_id IN (${placeholders})`,
+            ids
+        );
+
+        for (const row of result.rows) {
+            vectors.set(row.memory_id, this.embedder.fromBuffer(row.embedding));
+        }
+        return vectors;
+    }
+
+    /**
+     * Appends access events: [{ uid, action, timestamp }]
+     */
+    async logAccesses(events) {
+        await this.ready;
+        if (events.length === 0) {
+            return { success: true, logged: 0 };
+        }
+
+        try {
+            // Chunked to stay under SQLite's bound parameter limit
+            for (let i = 0; i < events.length; i += 300) {
+                const chunk = events.slice(i, i + 300);
+                await this.query(
+                    `INSERT INTO access_log (memory_uid, action, accessed_at) VALUES ${chunk.map(() => '(?, ?, ?)').join(', ')}`,
+                    chunk.flatMap(event => [event.uid, event.action, event.timestamp])
+                );
+            }
+            return { success: true, logged: events.length };
+        } catch (error) {
+            console.warn('logAccesses error:', error.message);
+            return { success: false, logged: 0, error: error.message };
+        }
+    }
+
+    /**
+     * Per-memory access summary from access_log:
+     * [{ uid, count, searches, lastAccess }]
+     */
+    async getAccessSummary() {
+        await this.ready;
+        try {
+            const result = await this.query(
+                `SELECT memory_uid, COUNT(*) AS count, SUM(action = 'search') AS searches, MAX(accessed_at) AS last_access
+                 FROM access_log GROUP BY memory_uid`
+            );
+            return result.rows.map(row => ({
+                uid: row.memory_uid,
+                count: row.count,
+                searches: row.searches || 0,
+                lastAccess: row.last_access
+            }));
+        } catch (error) {
+            console.warn('getAccessSummary error:', error.message);
             return [];
         }
     }
 
+    /**
+     * Applies the access_log retention limits: drops events older than
+     * maxAgeDays and all but the newest maxPerMemory events of each memory
+     */
+    async pruneAccessLog({ maxAgeDays, maxPerMemory }) {
+        await this.ready;
+        try {
+            const expired = await this.query(
+                'DELETE FROM access_log WHERE accessed_at < ?',
+                [Date.now() - maxAgeDays * 24 * 60 * 60 * 1000]
+            );
+            const excess = await this.query(
+                `DELETE FROM access_log WHERE id IN (
+                     SELECT id FROM (
+                         SELECT id, ROW_NUMBER() OVER (PARTITION BY memory_uid ORDER BY accessed_at DESC, id DESC) AS position
+                         FROM access_log
+                     ) WHERE position > ?
+                 )`,
+                [maxPerMemory]
+            );
+            return { success: true, deleted: expired.rowCount + excess.rowCount };
+        } catch (error) {
+            console.warn('pruneAccessLog error:', error.message);
+            return { success: false, deleted: 0, error: error.message };
+        }
+    }
+
+    /**
+     * Shares the caller's memories of a project with named users
+     * (permission read or write); sharing again changes the permission
+     */
+    async shareProject(project, users, permission = 'read') {
+        await this.ready;
+        try {
+            const owner = this.caller().user;
+            if (!owner) {
+                return { success: false, error: 'Only a named user can share a project' };
+            }
+
+            await this.transaction(async () => {
+                for (const user of users) {
+                    await this.query(
+                        `INSERT INTO project_shares (owner, project, user, permission) VALUES (?, ?, ?, ?)
+                         ON CONFLICT (owner, project, user) DO UPDATE SET permission = excluded.permission`,
+                        [owner, project, user, permission]
+                    );
+                }
+            });
+
+            return { success: true, owner, project, users, permission };
+        } catch (error) {
+            console.warn('shareProject error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Stops sharing the caller's memories of a project with the given users
+     */
+    async unshareProject(project, users) {
+        await this.ready;
+        try {
+            const owner = this.caller().user;
+            let removed = 0;
+            for (const user of users) {
+                const result = await this.query(
+                    'DELETE FROM project_shares WHERE owner = ? AND project = ? AND user = ?',
+                    [owner, project, user]
+                );
+                removed += result.rowCount;
+            }
+            return { success: true, owner, project, users, removed };
+        } catch (error) {
+            console.warn('unshareProject error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Users the caller shares a project (or every project) with
+     * Returns [{ project, user, permission, created_at }]
+     */
+    async getProjectShares(project = null) {
+        await this.ready;
+        try {
+            const result = await this.query(
+                `SELECT project, user, permission, created_at FROM project_shares
+                 WHERE owner = ?${project ? ' AND project = ?' : ''} ORDER BY project, user`,
+                project ? [this.caller().user, project] : [this.caller().user]
+            );
+            return result.rows;
+        } catch (error) {
+            console.warn('getProjectShares error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Memories whose metadata.expires_at has passed, soonest expired first
+     * (only those the caller may remove; the expiry sweep runs as the system)
+     */
+    async getExpiredMemories(limit = 500) {
+        await this.ready;
+        try {
+            const access = this.accessCondition('', 'write');
+            const result = await this.query(
+                `SELECT id, uid, content, metadata, created_at, owner, visibility FROM memories
+                 WHERE json_extract(metadata, '$.expires_at') IS NOT NULL AND json_extract(metadata, '$.expires_at') <= ?${access.sql}
+                 ORDER BY json_extract(metadata, '$.expires_at') LIMIT ?`,
+                [new Date().toISOString(), ...access.params, limit]
+            );
+
+            return result.rows.map(row => this.mapMemoryRow(row));
+        } catch (error) {
+            console.warn('getExpiredMemories error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Memories whose created_at is older than the given number of days
+     * (candidates for the selective attention retention review) that the
+     * caller may archive
+     */
+    async getRetentionCandidates(olderThanDays) {
+        try {
+            const expiry = this.expiryCondition();
+            const access = this.accessCondition('', 'write');
+            const result = await this.query(
+                `SELECT id, uid, content, metadata, created_at, owner, visibility FROM memories WHERE created_at <= datetime('now', ?)${expiry.sql}${access.sql} ORDER BY created_at`,
+                [`-${olderThanDays} days`, ...expiry.params, ...access.params]
+            );
+
+            return result.rows.map(row => this.mapMemoryRow(row));
+        } catch (error) {
+            console.warn('getRetentionCandidates error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Moves memories into archived_memories, keeping their original IDs
+     * and owners (memories the caller may not change are left in place)
+     * entries: [{ id, score, reason }]
+     */
+    async archiveMemories(entries) {
+        try {
+            const archived = await this.transaction(async () => {
+                const access = this.accessCondition('', 'write');
+                let count = 0;
+                for (const entry of entries) {
+                    const copied = await this.query(
+                        `INSERT OR REPLACE INTO archived_memories (id, uid, content, metadata, created_at, owner, namespace, visibility, archived_at, archive_reason, retention_score)
+                         SELECT id, uid, content, metadata, created_at, owner, namespace, visibility, datetime('now'), ?, ? FROM memories WHERE id = ?${access.sql}`,
+                        [entry.reason || null, entry.score ?? null, entry.id, ...access.params]
+                    );
+                    if (copied.rowCount > 0) {
+                        await this.query('DELETE FROM memories WHERE id = ?', [entry.id]);
+                        count++;
+                    }
+                }
+                return count;
+            });
+
+            return { success: true, archived };
+        } catch (error) {
+            console.warn('archiveMemories error:', error.message);
+            return { success: false, archived: 0, error: error.message };
+        }
+    }
+
+    /**
+     * Moves an archived memory back into the memories table under its original IDs
+     * (id may be the row id or uid); metadataUpdates are shallow-merged into the archived metadata
+     */
+    async restoreMemory(id, metadataUpdates = {}) {
+        try {
+            const archived = await this.getArchivedMemoryById(id);
+            if (!archived) {
+                return { success: false, error: `Archived memory ${id} not found` };
+            }
+            if (!(await this.canWrite(archived.id, 'archived_memories'))) {
+                return this.writeDenied(archived);
+            }
+
+            const metadata = { ...archived.metadata, ...metadataUpdates };
+
+            await this.transaction(async () => {
+                await this.query(
+                    `INSERT INTO memories (id, uid, content, content_hash, metadata, created_at, owner, namespace, visibility)
+                     SELECT id, uid, content, ?, ?, created_at, owner, namespace, visibility FROM archived_memories WHERE id = ?`,
+                    [this.contentHash(archived.content), this.serializeMetadata(metadata, archived.content), archived.id]
+                );
+                await this.query('DELETE FROM archived_memories WHERE id = ?', [archived.id]);
+            });
+
+            await this.storeEmbedding(archived.id, archived.content, metadata);
+
+            return {
+                success: true,
+                id: archived.id,
+                memory: {
+                    id: archived.id,
+                    uid: archived.uid,
+                    content: archived.content,
+                    metadata,
+                    created_at: archived.created_at,
+                    owner: archived.owner,
+                    visibility: archived.visibility
+                }
+            };
+        } catch (error) {
+            console.warn('restoreMemory error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getArchivedMemoryById(id) {
+        try {
+            const access = this.accessCondition();
+            const result = await this.query(
+                `SELECT id, uid, content, metadata, created_at, owner, visibility, archived_at, archive_reason, retention_score
+                 FROM archived_memories WHERE ${isUlid(id) ? 'uid' : 'id'} = ?${access.sql}`,
+                [isUlid(id) ? id.toUpperCase() : id, ...access.params]
+            );
+
+            if (result.rows.length > 0) {
+                return this.mapArchivedRow(result.rows[0]);
+            }
+            return null;
+        } catch (error) {
+            console.warn('getArchivedMemoryById error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Searches the archive (cold storage, so a simple any-word LIKE match)
+     */
+    async searchArchivedMemories(query, options = {}) {
+        try {
+            const { limit = 10, offset = 0 } = options;
+            const terms = (query || '').match(/[\p{L}\p{N}_]+/gu) || [query];
+            const matches = terms.map(term => this.contentMatch(term));
+            const filters = this.buildFilterConditions(options, '', true);
+
+            let queryStr = `
+                SELECT id, uid, content, metadata, created_at, owner, visibility, archived_at, archive_reason, retention_score
+                FROM archived_memories
+                WHERE (${matches.map(match => match.sql).join(' OR ')})${filters.sql}
+            `;
+            const queryParams = [...matches.flatMap(match => match.params), ...filters.params];
+
+            queryStr += ' ORDER BY archived_at DESC, id DESC LIMIT ? OFFSET ?';
+            queryParams.push(limit, offset);
+
+            const result = await this.query(queryStr, queryParams);
+            return result.rows.map(row => this.mapArchivedRow(row));
+        } catch (error) {
+            console.warn('searchArchivedMemories error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Rows written before the uid column existed fall back to their row id
+     */
+    mapMemoryRow(row) {
+        return {
+            id: row.id,
+            uid: row.uid || String(row.id),
+            content: this.openContent(row.content),
+            metadata: this.openMetadata(row.metadata),
+            created_at: row.created_at,
+            owner: row.owner || null,
+            visibility: row.visibility || null
+        };
+    }
+
+    mapArchivedRow(row) {
+        return {
+            ...this.mapMemoryRow(row),
+            archived: true,
+            archived_at: row.archived_at,
+            archive_reason: row.archive_reason,
+            retention_score: row.retention_score
+        };
+    }
+
+    /**
+     * Get a memory by its row id or its uid (ULID)
+     */
     async getMemoryById(id) {
         try {
+            const expiry = this.expiryCondition();
+            const access = this.accessCondition();
             const result = await this.query(
-                'SELECT id, content, metadata, created_at FROM memories WHERE id = ?',
-                [id]
+                `SELECT id, uid, content, metadata, created_at, owner, visibility FROM memories WHERE ${isUlid(id) ? 'uid' : 'id'} = ?${expiry.sql}${access.sql}`,
+                [isUlid(id) ? id.toUpperCase() : id, ...expiry.params, ...access.params]
             );
 
             if (result.rows.length > 0) {
-                const row = result.rows[0];
-                return {
-                    id: row.id,
-                    content: row.content,
-                    metadata: row.metadata ? JSON.parse(row.metadata) : {},
-                    created_at: row.created_at
-                };
+                return this.mapMemoryRow(result.rows[0]);
             }
             return null;
         } catch (error) {
@@ -444,4 +2206,7 @@ class MCPDatabaseClient {
     }
 }
 
+MCPDatabaseClient.LINK_TYPES = LINK_TYPES;
+MCPDatabaseClient.SORT_ORDERS = SORT_ORDERS;
+
 module.exports = MCPDatabaseClient;
\ No newline at end of file
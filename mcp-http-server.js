@@ -0,0 +1,324 @@
+/**
+ * MCP HTTP Server - Serves the Durandal MCP server over HTTP
+ *
+ * Lets several editors share one long-running memory server. Speaks the
+ * Streamable HTTP transport on /mcp and the older HTTP+SSE transport on
+ * /sse + /messages for clients that have not moved to Streamable HTTP yet.
+ *
+ * With a users file, each teammate has their own token: requests are
+ * authenticated as that user, and the identity is handed to the MCP
+ * handlers as authInfo.extra.identity (see access-control.js).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+const DEFAULT_SESSION_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+class MCPHttpServer {
+    /**
+     * @param {Object} options
+     * @param {Function} options.createServer - Returns a new, unconnected MCP Server per session
+     * @param {Object} options.logger - Durandal logger
+     * @param {number} options.port - Port to listen on (0 picks a free port)
+     * @param {string} options.host - Bind address (default: 127.0.0.1)
+     * @param {string} options.token - Bearer token required on every request, if set
+     * @param {Map} options.users - Per-user bearer tokens, token -> identity (see loadTokenUsers)
+     * @param {number} options.sessionTimeout - Close Streamable HTTP sessions idle this long (ms)
+     */
+    constructor(options) {
+        this.createServer = options.createServer;
+        this.logger = options.logger;
+        this.port = options.port;
+        this.host = options.host || '127.0.0.1';
+        this.token = options.token || null;
+        this.users = options.users && options.users.size > 0 ? options.users : null;
+        this.sessionTimeout = options.sessionTimeout || DEFAULT_SESSION_TIMEOUT;
+
+        // sessionId -> { transport, server, type, lastSeen }
+        this.sessions = new Map();
+        this.httpServer = null;
+        this.sweepTimer = null;
+
+        if (!this.token && !this.users && !LOOPBACK_HOSTS.includes(this.host)) {
+            throw new Error(`Refusing to listen on ${this.host} without a token; set --token, MCP_HTTP_TOKEN or a users file`);
+        }
+    }
+
+    async start() {
+        this.httpServer = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                this.logger.error('HTTP request failed', { url: req.url, error: error.message });
+                if (!res.headersSent) {
+                    this.sendJsonRpcError(res, 500, -32603, 'Internal server error');
+                }
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                this.httpServer.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.port = this.httpServer.address().port;
+
+        this.sweepTimer = setInterval(() => this.closeIdleSessions(), 60000);
+        this.sweepTimer.unref();
+
+        return this.port;
+    }
+
+    /**
+     * Streamable HTTP clients that go away without a DELETE would otherwise
+     * keep their session forever. SSE sessions end with their stream.
+     */
+    closeIdleSessions() {
+        const cutoff = Date.now() - this.sessionTimeout;
+
+        for (const [sessionId, session] of this.sessions) {
+            if (session.type === 'streamable' && session.lastSeen < cutoff) {
+                this.logger.info('Closing idle HTTP session', { sessionId });
+                session.transport.close().catch(error => {
+                    this.logger.debug('Error closing HTTP session', { sessionId, error: error.message });
+                });
+            }
+        }
+    }
+
+    async close() {
+        clearInterval(this.sweepTimer);
+
+        for (const [sessionId, session] of this.sessions) {
+            await session.transport.close().catch(error => {
+                this.logger.debug('Error closing HTTP session', { sessionId, error: error.message });
+            });
+        }
+        this.sessions.clear();
+
+        if (this.httpServer) {
+            this.httpServer.closeAllConnections();
+            await new Promise(resolve => this.httpServer.close(resolve));
+            this.httpServer = null;
+        }
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (url.pathname === '/health' && req.method === 'GET') {
+            this.sendJson(res, 200, { status: 'ok', sessions: this.sessions.size });
+            return;
+        }
+
+        if (!this.authenticate(req)) {
+            res.writeHead(401, { 'WWW-Authenticate': 'Bearer' });
+            res.end('Unauthorized');
+            return;
+        }
+
+        switch (url.pathname) {
+            case '/mcp':
+                await this.handleStreamableRequest(req, res);
+                break;
+            case '/sse':
+                await this.handleSseConnect(req, res);
+                break;
+            case '/messages':
+                await this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+                break;
+            default:
+                res.writeHead(404).end('Not found');
+        }
+    }
+
+    /**
+     * Streamable HTTP: POST carries requests, GET opens the notification
+     * stream, DELETE ends the session
+     */
+    async handleStreamableRequest(req, res) {
+        const sessionId = req.headers['mcp-session-id'];
+        const body = req.method === 'POST' ? await this.readJsonBody(req, res) : undefined;
+        if (body === null) {
+            return;
+        }
+
+        if (sessionId) {
+            const session = this.sessions.get(sessionId);
+            if (!session || session.type !== 'streamable') {
+                this.sendJsonRpcError(res, 404, -32001, 'Session not found');
+                return;
+            }
+            session.lastSeen = Date.now();
+            await session.transport.handleRequest(req, res, body);
+            return;
+        }
+
+        if (req.method !== 'POST' || !isInitializeRequest(body)) {
+            this.sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+            return;
+        }
+
+        const server = this.createServer();
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => crypto.randomUUID(),
+            onsessioninitialized: (id) => {
+                this.sessions.set(id, { transport, server, type: 'streamable', lastSeen: Date.now() });
+                this.logger.info('HTTP session started', { sessionId: id, transport: 'streamable-http' });
+            },
+            ...this.dnsRebindingOptions()
+        });
+
+        transport.onclose = () => {
+            if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+                this.logger.info('HTTP session closed', { sessionId: transport.sessionId });
+            }
+        };
+
+        await server.connect(transport);
+        await transport.handleRequest(req, res, body);
+    }
+
+    /**
+     * Legacy HTTP+SSE: GET /sse opens the stream and announces the
+     * /messages endpoint the client should POST to
+     */
+    async handleSseConnect(req, res) {
+        if (req.method !== 'GET') {
+            res.writeHead(405, { Allow: 'GET' }).end('Method not allowed');
+            return;
+        }
+
+        const server = this.createServer();
+        const transport = new SSEServerTransport('/messages', res, this.dnsRebindingOptions());
+        this.sessions.set(transport.sessionId, { transport, server, type: 'sse', lastSeen: Date.now() });
+
+        transport.onclose = () => {
+            if (this.sessions.delete(transport.sessionId)) {
+                this.logger.info('HTTP session closed', { sessionId: transport.sessionId });
+            }
+        };
+        res.on('close', () => transport.close());
+
+        await server.connect(transport);
+        this.logger.info('HTTP session started', { sessionId: transport.sessionId, transport: 'sse' });
+    }
+
+    async handleSseMessage(req, res, sessionId) {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { Allow: 'POST' }).end('Method not allowed');
+            return;
+        }
+
+        const session = this.sessions.get(sessionId);
+        if (!session || session.type !== 'sse') {
+            this.sendJsonRpcError(res, 404, -32001, 'Session not found');
+            return;
+        }
+
+        const body = await this.readJsonBody(req, res);
+        if (body === null) {
+            return;
+        }
+
+        session.lastSeen = Date.now();
+        await session.transport.handlePostMessage(req, res, body);
+    }
+
+    /**
+     * Checks the bearer token. A user's token sets req.auth, which the
+     * transports pass on to the handlers; the shared token (or no token on
+     * an open loopback server) runs requests as the server's own identity.
+     */
+    authenticate(req) {
+        if (!this.token && !this.users) {
+            return true;
+        }
+
+        const header = req.headers.authorization || '';
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+        if (!match) {
+            return false;
+        }
+
+        const provided = Buffer.from(match[1].trim());
+        const matches = (token) => {
+            const expected = Buffer.from(token);
+            return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+        };
+
+        if (this.users) {
+            for (const [token, identity] of this.users) {
+                if (matches(token)) {
+                    req.auth = { token, clientId: identity.user, scopes: [], extra: { identity } };
+                    return true;
+                }
+            }
+        }
+
+        return !!this.token && matches(this.token);
+    }
+
+    /**
+     * Only loopback binds get Host/Origin checks; other binds are
+     * protected by the token instead
+     */
+    dnsRebindingOptions() {
+        if (!LOOPBACK_HOSTS.includes(this.host)) {
+            return {};
+        }
+
+        const hosts = ['127.0.0.1', 'localhost', '[::1]'];
+        return {
+            enableDnsRebindingProtection: true,
+            allowedHosts: hosts.flatMap(host => [host, `${host}:${this.port}`])
+        };
+    }
+
+    /**
+     * Reads and parses a JSON request body. Returns null after sending an
+     * error response if the body is too large or not valid JSON.
+     */
+    async readJsonBody(req, res) {
+        const chunks = [];
+        let size = 0;
+
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                this.sendJsonRpcError(res, 413, -32000, 'Request body too large');
+                return null;
+            }
+            chunks.push(chunk);
+        }
+
+        try {
+            return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            this.sendJsonRpcError(res, 400, -32700, 'Parse error');
+            return null;
+        }
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    sendJsonRpcError(res, status, code, message) {
+        this.sendJson(res, status, {
+            jsonrpc: '2.0',
+            error: { code, message },
+            id: null
+        });
+    }
+}
+
+module.exports = MCPHttpServer;
@@ -0,0 +1,849 @@
+/**
+ * PostgreSQL Database Client for Durandal MCP Server
+ *
+ * The PostgreSQL counterpart of MCPDatabaseClient, selected with
+ * DATABASE_TYPE=postgresql (or a postgres:// DATABASE_URL; see
+ * db-adapter.js). Metadata is stored as JSONB and keyword search uses a
+ * generated tsvector column with a GIN index, ranked with ts_rank_cd.
+ *
+ * It implements storing, keyword search, listing, recent and by-id reads,
+ * deletion, expiry and the access log, with the same results (row shapes,
+ * created_at format, visibility rules) as the SQLite client. Features that
+ * depend on SQLite-only tables (versions, links, archive, embeddings,
+ * project sharing, encryption) throw a DatabaseError with code
+ * UNSUPPORTED_BACKEND.
+ *
+ * The schema is created with CREATE ... IF NOT EXISTS when the client
+ * connects; schema-migrations.js only manages SQLite databases.
+ *
+ * Connection: DATABASE_URL, else DB_HOST, DB_PORT, DB_NAME, DB_USER and
+ * DB_PASSWORD (unset ones fall back to the standard PG* variables).
+ * Requires the pg package (npm install pg).
+ */
+
+const { ulid, isUlid } = require('./ulid');
+const DuplicateDetector = require('./duplicate-detector');
+const MemoryCipher = require('./memory-cipher');
+const { configuredIdentity, currentIdentity, validateVisibility } = require('./access-control');
+const { DatabaseError, ConfigurationError } = require('./errors');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS memories (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        uid TEXT NOT NULL UNIQUE,
+        content TEXT NOT NULL,
+        content_hash TEXT,
+        metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMP NOT NULL DEFAULT (now() AT TIME ZONE 'UTC'), -- UTC, as in SQLite
+        owner TEXT,
+        namespace TEXT,
+        visibility TEXT,
+        search TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_memories_search ON memories USING GIN (search);
+    CREATE INDEX IF NOT EXISTS idx_memories_created_at ON memories (created_at);
+    CREATE INDEX IF NOT EXISTS idx_memories_project ON memories ((metadata->>'project'));
+    CREATE INDEX IF NOT EXISTS idx_memories_content_hash ON memories (content_hash);
+    CREATE INDEX IF NOT EXISTS idx_memories_owner ON memories (owner);
+
+    -- RAMR access events, as in SQLite
+    CREATE TABLE IF NOT EXISTS access_log (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        memory_uid TEXT NOT NULL,
+        action TEXT NOT NULL,
+        accessed_at BIGINT NOT NULL -- epoch ms
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_access_log_memory ON access_log (memory_uid, accessed_at);
+    CREATE INDEX IF NOT EXISTS idx_access_log_accessed_at ON access_log (accessed_at);
+`;
+
+// Operations that need tables only the SQLite store has
+const SQLITE_ONLY = [
+    'updateMemory', 'getMemoryVersions', 'revertMemory',
+    'linkMemories', 'hasLink', 'getLinksBetween',
+    'getRetentionCandidates', 'archiveMemories', 'restoreMemory', 'getArchivedMemoryById', 'searchArchivedMemories',
+    'shareProject', 'unshareProject', 'getProjectShares',
+    'getMemoriesForExport', 'getEmbeddings', 'backfillEmbeddings',
+    'getSearchIndexStatus', 'rebuildSearchIndex', 'reencrypt'
+];
+
+function unsupported(operation) {
+    const error = new Error(`${operation} is not available with DATABASE_TYPE=postgresql`);
+    error.code = 'UNSUPPORTED_BACKEND';
+    return new DatabaseError(error.message, operation, error);
+}
+
+/**
+ * Rewrites ? placeholders (outside quoted strings) as $1, $2, ...
+ */
+function numberPlaceholders(sql) {
+    let index = 0;
+    return sql.replace(/'(?:[^']|'')*'|\?/g, match => match === '?' ? `$${++index}` : match);
+}
+
+class MCPPostgresClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Connection URL (default: DATABASE_URL)
+     * @param {boolean} options.migrate - Set to false to connect without
+     *   creating the schema
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.type = 'postgresql';
+        this.client = null;
+        this.schemaError = null;
+        this.initialized = false;
+        this.ftsEnabled = true;
+
+        // Caller outside any request (see access-control.js)
+        this.identity = configuredIdentity();
+
+        // Encryption at rest is SQLite-only; a configured key is reported, not used
+        this.cipher = null;
+        this.encryption = {
+            enabled: false,
+            locked: false,
+            keyId: null,
+            keyConfigured: !!(process.env[MemoryCipher.KEY_ENV] || process.env[MemoryCipher.KEY_FILE_ENV]),
+            error: null
+        };
+        if (this.encryption.keyConfigured) {
+            this.encryption.error = 'Encryption at rest is not available with DATABASE_TYPE=postgresql';
+        }
+
+        this.url = options.url || process.env.DATABASE_URL || null;
+        this.dbPath = this.describeConnection();
+
+        this.initializePostgreSQL();
+    }
+
+    /**
+     * The connection as shown in logs and status: the URL without its password
+     */
+    describeConnection() {
+        if (this.url) {
+            try {
+                const url = new URL(this.url);
+                url.password = '';
+                return url.toString();
+            } catch (error) {
+                return 'postgresql://(invalid DATABASE_URL)';
+            }
+        }
+
+        const env = process.env;
+        const user = env.DB_USER || env.PGUSER || '';
+        const host = env.DB_HOST || env.PGHOST || 'localhost';
+        const port = env.DB_PORT || env.PGPORT || 5432;
+        const database = env.DB_NAME || env.PGDATABASE || user;
+        return `postgresql://${user ? `${user}@` : ''}${host}:${port}/${database}`;
+    }
+
+    initializePostgreSQL() {
+        let Pool;
+        try {
+            ({ Pool } = require('pg'));
+        } catch (error) {
+            throw new ConfigurationError('DATABASE_TYPE=postgresql requires the pg package; install it next to durandal-memory-mcp (npm install pg)', 'DATABASE_TYPE', 'postgresql');
+        }
+
+        console.log(`[DB] Database: Using PostgreSQL at ${this.dbPath}`);
+
+        const env = process.env;
+        this.client = new Pool(this.url ? { connectionString: this.url } : {
+            host: env.DB_HOST,
+            port: env.DB_PORT ? parseInt(env.DB_PORT, 10) : undefined,
+            database: env.DB_NAME,
+            user: env.DB_USER,
+            password: env.DB_PASSWORD
+        });
+
+        // Idle clients can lose their connection (e.g. a server restart)
+        this.client.on('error', (error) => {
+            console.warn('PostgreSQL pool error:', error.message);
+        });
+
+        // Resolves once the schema is in place
+        this.ready = (this.options.migrate === false ? Promise.resolve() : this.initializeSchema())
+            .then(() => true, (error) => {
+                console.error('PostgreSQL schema setup failed:', error.message);
+                return false;
+            });
+    }
+
+    async initializeSchema() {
+        await this.client.query(SCHEMA);
+        this.initialized = true;
+        console.log('[OK] PostgreSQL schema initialized');
+    }
+
+    /**
+     * The tables this client needs, for the server's startup check
+     * Returns { valid, issues, info }
+     */
+    async validateSchema() {
+        await this.ready;
+
+        const tables = await this.query(
+            'SELECT table_name FROM information_schema.tables WHERE table_schema = current_schema() AND table_name IN (\'memories\', \'access_log\')'
+        );
+        const found = tables.rows.map(row => row.table_name);
+        const issues = ['memories', 'access_log']
+            .filter(table => !found.includes(table))
+            .map(table => `Missing table: ${table}`);
+
+        let memories = 0;
+        if (found.includes('memories')) {
+            memories = (await this.query('SELECT COUNT(*)::int AS count FROM memories')).rows[0].count;
+        }
+
+        return {
+            valid: issues.length === 0,
+            issues,
+            info: { backend: 'postgresql', tables: found.length, memories }
+        };
+    }
+
+    async testConnection() {
+        try {
+            await this.client.query('SELECT 1 AS test');
+            return {
+                success: true,
+                message: 'PostgreSQL connection successful',
+                type: 'postgresql'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                type: 'postgresql'
+            };
+        }
+    }
+
+    /**
+     * Runs one statement; ? placeholders are numbered for PostgreSQL
+     * Returns { rows, rowCount }
+     */
+    async query(sql, params = []) {
+        const result = await this.client.query(numberPlaceholders(sql), params);
+        return { rows: result.rows, rowCount: result.rowCount };
+    }
+
+    /**
+     * Runs a script of several SQL statements (no parameters, no rows)
+     */
+    async exec(sql) {
+        await this.client.query(sql);
+    }
+
+    async close() {
+        await this.ready;
+
+        if (this.client) {
+            try {
+                await this.client.end();
+            } catch (error) {
+                console.error('PostgreSQL close error:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Content is stored as written (see encryption above)
+     */
+    openContent(value) {
+        return value;
+    }
+
+    /**
+     * Store a memory (options as for MCPDatabaseClient.storeMemory)
+     */
+    async storeMemory(content, metadata = {}, options = {}) {
+        await this.ready;
+
+        try {
+            const uid = options.uid || ulid();
+            const identity = this.caller();
+            const visibility = validateVisibility(options.visibility || identity.visibility || 'private');
+            const result = await this.query(
+                `INSERT INTO memories (uid, content, content_hash, metadata, created_at, owner, namespace, visibility)
+                 VALUES (?, ?, ?, ?::jsonb, COALESCE(?::timestamptz AT TIME ZONE 'UTC', now() AT TIME ZONE 'UTC'), ?, ?, ?)
+                 ON CONFLICT (uid) DO NOTHING
+                 RETURNING id`,
+                [
+                    uid, content, DuplicateDetector.hash(content), JSON.stringify(metadata), options.createdAt || null,
+                    options.owner !== undefined ? options.owner : identity.user,
+                    options.namespace !== undefined ? options.namespace : identity.namespace,
+                    visibility
+                ]
+            );
+
+            if (result.rowCount === 0) {
+                const existing = await this.query('SELECT id FROM memories WHERE uid = ?', [uid]);
+                return { success: true, id: existing.rows[0].id, uid, duplicate: true };
+            }
+
+            return { success: true, id: result.rows[0].id, uid };
+        } catch (error) {
+            console.warn('storeMemory error:', error.message);
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    /**
+     * Finds an existing memory the caller may change that duplicates
+     * content: an exact match by content hash, else the most similar
+     * full-text candidate (as in MCPDatabaseClient.findDuplicateMemory)
+     */
+    async findDuplicateMemory(content, options = {}) {
+        await this.ready;
+
+        const detector = new DuplicateDetector({ threshold: options.threshold });
+
+        const filters = this.buildFilterConditions({ project: options.project, access: 'write' });
+        const exact = await this.query(
+            `SELECT ${this.columns()} FROM memories WHERE content_hash = ?${filters.sql} ORDER BY id LIMIT 1`,
+            [DuplicateDetector.hash(content), ...filters.params]
+        );
+        if (exact.rows.length > 0) {
+            return { memory: this.mapMemoryRow(exact.rows[0]), similarity: 1, exact: true };
+        }
+
+        const candidates = await this.searchMemoriesKeyword(detector.candidateQuery(content), {
+            limit: 20,
+            project: options.project,
+            access: 'write'
+        });
+        return detector.findDuplicate(content, candidates.memories);
+    }
+
+    /**
+     * The columns of a memory row, created_at formatted as SQLite returns it
+     */
+    columns(alias = '') {
+        return `${alias}id, ${alias}uid, ${alias}content, ${alias}metadata,
+                to_char(${alias}created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at, ${alias}owner, ${alias}visibility`;
+    }
+
+    /**
+     * SQL expression for a metadata field, as text
+     */
+    metadataField(name, alias = '') {
+        return `${alias}metadata->>'${name}'`;
+    }
+
+    /**
+     * A numeric metadata field, NULL when it is missing or not a number
+     */
+    numberField(name, alias = '') {
+        return `CASE WHEN jsonb_typeof(${alias}metadata->'${name}') = 'number' THEN (${alias}metadata->>'${name}')::float8 END`;
+    }
+
+    /**
+     * SQL conditions for the filters of MCPDatabaseClient.buildFilterConditions
+     * Returns { sql: ' AND ...', params }
+     */
+    buildFilterConditions(filters = {}, alias = '') {
+        const field = (name) => this.metadataField(name, alias);
+        const visible = this.expiryCondition(alias);
+        const access = this.accessCondition(alias, filters.access);
+        let sql = visible.sql + access.sql;
+        const params = [...visible.params, ...access.params];
+
+        for (const name of ['project', 'session', 'type']) {
+            if (filters[name]) {
+                sql += ` AND ${field(name)} = ?`;
+                params.push(filters[name]);
+            }
+        }
+
+        for (const [path, values] of [['categories', filters.categories], ['keywords', filters.keywords]]) {
+            const wanted = (values || []).map(value => String(value).toLowerCase());
+            if (wanted.length === 0) continue;
+
+            sql += ` AND EXISTS (SELECT 1 FROM jsonb_array_elements_text(CASE WHEN jsonb_typeof(${alias}metadata->'${path}') = 'array' THEN ${alias}metadata->'${path}' END) AS tag
+                     WHERE lower(tag) IN (${wanted.map(() => '?').join(', ')}))`;
+            params.push(...wanted);
+        }
+
+        if (filters.pinned) {
+            sql += ` AND ${field('pinned')} IN ('true', '1')`;
+        }
+
+        if (filters.importanceMin !== undefined && filters.importanceMin !== null) {
+            sql += ` AND ${this.numberField('importance', alias)} >= ?`;
+            params.push(filters.importanceMin);
+        }
+
+        if (filters.importanceMax !== undefined && filters.importanceMax !== null) {
+            sql += ` AND ${this.numberField('importance', alias)} <= ?`;
+            params.push(filters.importanceMax);
+        }
+
+        if (filters.createdAfter) {
+            sql += ` AND ${alias}created_at >= ?::timestamptz AT TIME ZONE 'UTC'`;
+            params.push(filters.createdAfter);
+        }
+
+        if (filters.createdBefore) {
+            sql += ` AND ${alias}created_at < ?::timestamptz AT TIME ZONE 'UTC'`;
+            params.push(filters.createdBefore);
+        }
+
+        return { sql, params };
+    }
+
+    /**
+     * SQL condition excluding memories whose metadata.expires_at has passed
+     * Returns { sql: ' AND ...', params }
+     */
+    expiryCondition(alias = '') {
+        const expiresAt = `${alias}metadata->>'expires_at'`;
+        return {
+            sql: ` AND (${expiresAt} IS NULL OR ${expiresAt} > ?)`,
+            params: [new Date().toISOString()]
+        };
+    }
+
+    /**
+     * Whether this backend implements operation (not the SQLITE_ONLY ones)
+     */
+    supports(operation) {
+        return typeof this[operation] === 'function' && !SQLITE_ONLY.includes(operation);
+    }
+
+    /**
+     * The identity of the current request, else the configured one
+     */
+    caller() {
+        return currentIdentity() || this.identity;
+    }
+
+    /**
+     * SQL condition limiting rows to those the caller may read or, with
+     * access 'write', change (MCPDatabaseClient.accessCondition without
+     * project shares, which PostgreSQL does not store)
+     * Returns { sql: ' AND ...', params }
+     */
+    accessCondition(alias = '', access = 'read') {
+        const identity = this.caller();
+        if (identity.system) {
+            return { sql: '', params: [] };
+        }
+
+        if (access === 'write') {
+            return {
+                sql: ` AND (${alias}owner IS NULL OR ${alias}owner = ?)`,
+                params: [identity.user]
+            };
+        }
+        return {
+            sql: ` AND (${alias}owner IS NULL OR ${alias}owner = ? OR ${alias}visibility = 'public'
+                   OR (${alias}visibility = 'team' AND ${alias}namespace = ?))`,
+            params: [identity.user, identity.namespace]
+        };
+    }
+
+    visibleCondition(alias = '') {
+        const expiry = this.expiryCondition(alias);
+        const access = this.accessCondition(alias);
+        return { sql: expiry.sql + access.sql, params: [...expiry.params, ...access.params] };
+    }
+
+    writeDenied(memory) {
+        return {
+            success: false,
+            code: 'ACCESS_DENIED',
+            error: `Memory ${memory.uid} belongs to ${memory.owner}; only its owner can change it`
+        };
+    }
+
+    async canWrite(id) {
+        const access = this.accessCondition('', 'write');
+        const result = await this.query(`SELECT 1 AS writable FROM memories WHERE id = ?${access.sql}`, [id, ...access.params]);
+        return result.rows.length > 0;
+    }
+
+    async searchMemories(query, options = {}) {
+        return (await this.searchMemoriesPage(query, options)).memories;
+    }
+
+    /**
+     * Keyword search (options as for MCPDatabaseClient.searchMemoriesPage);
+     * the semantic and hybrid modes need the SQLite embeddings table
+     * Returns { memories, total }
+     */
+    async searchMemoriesPage(query, options = {}) {
+        await this.ready;
+
+        if (options.mode === 'semantic' || options.mode === 'hybrid') {
+            throw unsupported(`${options.mode} search`);
+        }
+        return await this.searchMemoriesKeyword(query, options);
+    }
+
+    /**
+     * tsquery matching any word of query, by prefix (as the SQLite FTS5
+     * query does), or null when it has no words
+     */
+    buildTsQuery(query) {
+        const terms = String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+        if (!terms) {
+            return null;
+        }
+        return [...new Set(terms)].map(term => `${term}:*`).join(' | ');
+    }
+
+    async searchMemoriesKeyword(query, options = {}) {
+        const tsQuery = this.buildTsQuery(query);
+        if (!tsQuery) {
+            return await this.searchMemoriesLike(query, options);
+        }
+
+        try {
+            const { limit = 10, offset = 0, sort = 'relevance' } = options;
+            const filters = this.buildFilterConditions(options, 'm.');
+            const from = `
+                FROM memories m, to_tsquery('english', ?) AS q
+                WHERE m.search @@ q${filters.sql}
+            `;
+
+            const order = sort === 'relevance'
+                ? { sql: 'rank DESC, m.created_at DESC', params: [] }
+                : this.buildSortClause(sort, 'm.', options.accessCounts);
+
+            const result = await this.query(
+                `SELECT ${this.columns('m.')},
+                        ts_rank_cd(m.search, q) AS rank,
+                        ts_headline('english', m.content, q, 'StartSel=**, StopSel=**, MaxWords=16, MinWords=4, FragmentDelimiter=...') AS snippet
+                 ${from}
+                 ORDER BY ${order.sql} LIMIT ? OFFSET ?`,
+                [tsQuery, ...filters.params, ...order.params, limit, offset]
+            );
+            const total = await this.query(`SELECT COUNT(*)::int AS count ${from}`, [tsQuery, ...filters.params]);
+
+            return {
+                memories: result.rows.map(row => ({
+                    ...this.mapMemoryRow(row),
+                    score: row.rank,
+                    snippet: row.snippet
+                })),
+                total: total.rows[0].count
+            };
+        } catch (error) {
+            console.warn('searchMemories full-text error, falling back to ILIKE:', error.message);
+            return await this.searchMemoriesLike(query, options);
+        }
+    }
+
+    async searchMemoriesLike(query, options = {}) {
+        try {
+            const { limit = 10, offset = 0, sort = 'newest' } = options;
+            const filters = this.buildFilterConditions(options);
+            const escaped = String(query || '').replace(/[\\%_]/g, character => `\\${character}`);
+            const where = `WHERE content ILIKE ?${filters.sql}`;
+            const params = [`%${escaped}%`, ...filters.params];
+            const order = this.buildSortClause(sort, '', options.accessCounts);
+
+            const result = await this.query(
+                `SELECT ${this.columns()} FROM memories ${where} ORDER BY ${order.sql} LIMIT ? OFFSET ?`,
+                [...params, ...order.params, limit, offset]
+            );
+            const total = await this.query(`SELECT COUNT(*)::int AS count FROM memories ${where}`, params);
+
+            return {
+                memories: result.rows.map(row => this.mapMemoryRow(row)),
+                total: total.rows[0].count
+            };
+        } catch (error) {
+            console.warn('searchMemoriesLike error:', error.message);
+            return { memories: [], total: 0 };
+        }
+    }
+
+    /**
+     * ORDER BY for the sorts of MCPDatabaseClient.buildSortClause
+     * Returns { sql, params }
+     */
+    buildSortClause(sort, alias = '', accessCounts = {}) {
+        const newest = `${alias}created_at DESC, ${alias}id DESC`;
+
+        switch (sort) {
+            case 'oldest':
+                return { sql: `${alias}created_at ASC, ${alias}id ASC`, params: [] };
+            case 'importance':
+                return { sql: `COALESCE(${this.numberField('importance', alias)}, 0.5) DESC, ${newest}`, params: [] };
+            case 'most_accessed':
+                return {
+                    sql: `COALESCE((?::jsonb->>${alias}uid)::int, 0) DESC, ${newest}`,
+                    params: [JSON.stringify(accessCounts || {})]
+                };
+            default:
+                return { sql: newest, params: [] };
+        }
+    }
+
+    async getRecentMemories(limit = 10, project = null, session = null) {
+        try {
+            const filters = this.buildFilterConditions({ project, session });
+            const result = await this.query(
+                `SELECT ${this.columns()} FROM memories WHERE TRUE${filters.sql} ORDER BY created_at DESC, id DESC LIMIT ?`,
+                [...filters.params, limit]
+            );
+
+            return result.rows.map(row => this.mapMemoryRow(row));
+        } catch (error) {
+            console.warn('getRecentMemories error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * One page of memories matching the filters, with the total
+     * Returns { memories, total }
+     */
+    async listMemories(options = {}) {
+        await this.ready;
+
+        const { limit = 10, offset = 0, sort = 'newest' } = options;
+        const filters = this.buildFilterConditions(options);
+        const order = this.buildSortClause(sort, '', options.accessCounts);
+
+        const result = await this.query(
+            `SELECT ${this.columns()} FROM memories WHERE TRUE${filters.sql} ORDER BY ${order.sql} LIMIT ? OFFSET ?`,
+            [...filters.params, ...order.params, limit, offset]
+        );
+        const total = await this.query(`SELECT COUNT(*)::int AS count FROM memories WHERE TRUE${filters.sql}`, filters.params);
+
+        return {
+            memories: result.rows.map(row => this.mapMemoryRow(row)),
+            total: total.rows[0].count
+        };
+    }
+
+    /**
+     * Memories counted per value of metadata fields (see MCPDatabaseClient.groupMemories)
+     */
+    async groupMemories(fields, options = {}) {
+        await this.ready;
+
+        const visible = this.visibleCondition();
+        const columns = fields.map(name => `${this.metadataField(name)} AS ${name}`).join(', ');
+        const order = options.order === 'count' ? 'count DESC' : 'MAX(created_at) DESC';
+        const result = await this.query(
+            `SELECT ${columns}, COUNT(*)::int AS count,
+                    to_char(MIN(created_at), 'YYYY-MM-DD HH24:MI:SS') AS first_memory,
+                    to_char(MAX(created_at), 'YYYY-MM-DD HH24:MI:SS') AS last_memory
+             FROM memories WHERE ${this.metadataField(fields[0])} IS NOT NULL${visible.sql}
+             GROUP BY ${fields.map(name => this.metadataField(name)).join(', ')}
+             ORDER BY ${order}${options.limit ? ' LIMIT ?' : ''}`,
+            [...visible.params, ...(options.limit ? [options.limit] : [])]
+        );
+        return result.rows;
+    }
+
+    /**
+     * How many unexpired memories, projects and sessions the caller can read
+     * Returns { memories, projects, sessions }
+     */
+    async getMemoryCounts() {
+        await this.ready;
+
+        const visible = this.visibleCondition();
+        const project = this.metadataField('project');
+        const session = this.metadataField('session');
+        const result = await this.query(
+            `SELECT COUNT(*)::int AS memories, COUNT(DISTINCT ${project})::int AS projects, COUNT(DISTINCT ${session})::int AS sessions
+             FROM memories WHERE TRUE${visible.sql}`,
+            visible.params
+        );
+        const row = result.rows[0];
+        return { memories: row.memories, projects: row.projects, sessions: row.sessions };
+    }
+
+    async deleteMemory(id) {
+        try {
+            // Memories the caller cannot see are reported as not deleted
+            if (!(await this.canWrite(id))) {
+                const existing = await this.getMemoryById(id);
+                return existing ? this.writeDenied(existing) : { success: true, id, deleted: false };
+            }
+
+            await this.query('DELETE FROM access_log WHERE memory_uid IN (SELECT uid FROM memories WHERE id = ?)', [id]);
+            const result = await this.query('DELETE FROM memories WHERE id = ?', [id]);
+            return { success: true, id, deleted: result.rowCount > 0 };
+        } catch (error) {
+            console.warn('deleteMemory error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Links are SQLite-only, so no memory has any
+     */
+    async getLinkedMemories() {
+        return new Map();
+    }
+
+    async logAccesses(events) {
+        await this.ready;
+        if (events.length === 0) {
+            return { success: true, logged: 0 };
+        }
+
+        try {
+            for (let i = 0; i < events.length; i += 300) {
+                const chunk = events.slice(i, i + 300);
+                await this.query(
+                    `INSERT INTO access_log (memory_uid, action, accessed_at) VALUES ${chunk.map(() => '(?, ?, ?)').join(', ')}`,
+                    chunk.flatMap(event => [event.uid, event.action, event.timestamp])
+                );
+            }
+            return { success: true, logged: events.length };
+        } catch (error) {
+            console.warn('logAccesses error:', error.message);
+            return { success: false, logged: 0, error: error.message };
+        }
+    }
+
+    async getAccessSummary() {
+        await this.ready;
+        try {
+            const result = await this.query(
+                `SELECT memory_uid, COUNT(*)::int AS count, COUNT(*) FILTER (WHERE action = 'search')::int AS searches,
+                        MAX(accessed_at)::float8 AS last_access
+                 FROM access_log GROUP BY memory_uid`
+            );
+            return result.rows.map(row => ({
+                uid: row.memory_uid,
+                count: row.count,
+                searches: row.searches,
+                lastAccess: row.last_access
+            }));
+        } catch (error) {
+            console.warn('getAccessSummary error:', error.message);
+            return [];
+        }
+    }
+
+    async pruneAccessLog({ maxAgeDays, maxPerMemory }) {
+        await this.ready;
+        try {
+            const expired = await this.query(
+                'DELETE FROM access_log WHERE accessed_at < ?',
+                [Date.now() - maxAgeDays * 24 * 60 * 60 * 1000]
+            );
+            const excess = await this.query(
+                `DELETE FROM access_log WHERE id IN (
+                     SELECT id FROM (
+                         SELECT id, ROW_NUMBER() OVER (PARTITION BY memory_uid ORDER BY accessed_at DESC, id DESC) AS position
+                         FROM access_log
+                     ) AS ranked WHERE position > ?
+                 )`,
+                [maxPerMemory]
+            );
+            return { success: true, deleted: expired.rowCount + excess.rowCount };
+        } catch (error) {
+            console.warn('pruneAccessLog error:', error.message);
+            return { success: false, deleted: 0, error: error.message };
+        }
+    }
+
+    async getExpiredMemories(limit = 500) {
+        await this.ready;
+        try {
+            const access = this.accessCondition('', 'write');
+            const result = await this.query(
+                `SELECT ${this.columns()} FROM memories
+                 WHERE metadata->>'expires_at' <= ?${access.sql}
+                 ORDER BY metadata->>'expires_at' LIMIT ?`,
+                [new Date().toISOString(), ...access.params, limit]
+            );
+
+            return result.rows.map(row => this.mapMemoryRow(row));
+        } catch (error) {
+            console.warn('getExpiredMemories error:', error.message);
+            return [];
+        }
+    }
+
+    mapMemoryRow(row) {
+        return {
+            id: row.id,
+            uid: row.uid,
+            content: row.content,
+            metadata: row.metadata || {},
+            created_at: row.created_at,
+            owner: row.owner || null,
+            visibility: row.visibility || null
+        };
+    }
+
+    /**
+     * The uids, among uids, of memories the caller can see
+     */
+    async readableUids(uids) {
+        await this.ready;
+
+        const visible = this.visibleCondition();
+        const found = [];
+        for (let start = 0; start < uids.length; start += 500) {
+            const batch = uids.slice(start, start + 500);
+            const result = await this.query(
+                `SELECT uid FROM memories WHERE uid IN (${batch.map(() => '?').join(', ')})${visible.sql}`,
+                [...batch, ...visible.params]
+            );
+            found.push(...result.rows.map(row => row.uid));
+        }
+        return found;
+    }
+
+    /**
+     * True if a memory has this uid, whoever owns it and even if it has
+     * expired (for keeping uids unique, e.g. on import)
+     */
+    async hasMemory(uid) {
+        const result = await this.query('SELECT 1 AS found FROM memories WHERE uid = ? LIMIT 1', [String(uid).toUpperCase()]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Get a memory by its row id or its uid (ULID)
+     */
+    async getMemoryById(id) {
+        try {
+            const filters = this.buildFilterConditions();
+            const byUid = isUlid(id);
+            if (!byUid && !Number.isInteger(Number(id))) {
+                return null;
+            }
+            const result = await this.query(
+                `SELECT ${this.columns()} FROM memories WHERE ${byUid ? 'uid' : 'id'} = ?${filters.sql}`,
+                [byUid ? id.toUpperCase() : Number(id), ...filters.params]
+            );
+
+            if (result.rows.length > 0) {
+                return this.mapMemoryRow(result.rows[0]);
+            }
+            return null;
+        } catch (error) {
+            console.warn('getMemoryById error:', error.message);
+            return null;
+        }
+    }
+}
+
+for (const method of SQLITE_ONLY) {
+    MCPPostgresClient.prototype[method] = async function () {
+        throw unsupported(method);
+    };
+}
+
+MCPPostgresClient.SQLITE_ONLY = SQLITE_ONLY;
+MCPPostgresClient.numberPlaceholders = numberPlaceholders;
+
+module.exports = MCPPostgresClient;
@@ -0,0 +1,212 @@
+/**
+ * Memory Backup - Consistent snapshots of the SQLite database
+ *
+ * Copying the database file while a server writes to it can produce a torn,
+ * unusable copy. Snapshots are taken with SQLite's online backup API
+ * instead, which copies a consistent state of the database even while other
+ * connections write, and each one is checked with PRAGMA integrity_check
+ * before it is kept.
+ *
+ * Snapshots are named <database>-<UTC time>[-<reason>].db and only the
+ * newest `keep` of them are kept in the backup directory. Restoring copies a
+ * snapshot back into the live database (again with the backup API), after
+ * taking a snapshot of the current contents.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SchemaMigrator = require('./schema-migrations');
+const { DatabaseError, ValidationError } = require('./errors');
+
+const DEFAULT_KEEP = 7;
+
+class MemoryBackup {
+    /**
+     * @param {Object} options
+     * @param {MCPDatabaseClient} options.db - The database to back up
+     * @param {string} options.dir - Backup directory (default: BACKUP_DIR, else ~/.durandal-mcp/backups)
+     * @param {number} options.keep - Snapshots to keep (default: BACKUP_KEEP, else 7)
+     */
+    constructor({ db, dir, keep } = {}) {
+        this.db = db;
+        this.dir = path.resolve(dir || MemoryBackup.defaultDir());
+        this.keep = keep || parseInt(process.env.BACKUP_KEEP) || DEFAULT_KEEP;
+        if (!Number.isInteger(this.keep) || this.keep < 1) {
+            throw new ValidationError('The number of snapshots to keep must be a positive integer', 'keep', keep);
+        }
+
+        const ext = path.extname(db.dbPath);
+        this.prefix = path.basename(db.dbPath, ext);
+    }
+
+    static defaultDir(env = process.env) {
+        if (env.BACKUP_DIR) {
+            return env.BACKUP_DIR;
+        }
+        const home = env.HOME || env.USERPROFILE || os.homedir();
+        return path.join(home, '.durandal-mcp', 'backups');
+    }
+
+    /**
+     * Takes a snapshot, verifies it and removes the snapshots beyond keep
+     * reason (e.g. 'manual', 'pre-purge') becomes part of the file name
+     * Returns { path, size, created_at, reason, memories, schemaVersion, removed }
+     */
+    async snapshot(reason = 'manual') {
+        if (this.db.type !== 'sqlite') {
+            const error = new Error('Snapshots use SQLite\'s online backup API; back up PostgreSQL with pg_dump');
+            error.code = 'UNSUPPORTED_BACKEND';
+            throw new DatabaseError(error.message, 'backup', error);
+        }
+
+        // Snapshots hold every user's memories
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+        const createdAt = new Date();
+        const target = this.snapshotPath(createdAt, reason);
+        const partial = `${target}.partial`;
+
+        try {
+            await this.db.backupTo(partial);
+            const check = await MemoryBackup.verify(partial);
+            if (!check.ok) {
+                throw new DatabaseError(`Snapshot failed its integrity check: ${check.errors.join('; ')}`, 'backup');
+            }
+            fs.renameSync(partial, target);
+
+            return {
+                path: target,
+                size: fs.statSync(target).size,
+                created_at: createdAt.toISOString(),
+                reason,
+                memories: check.memories,
+                schemaVersion: check.schemaVersion,
+                removed: this.rotate()
+            };
+        } finally {
+            fs.rmSync(partial, { force: true });
+        }
+    }
+
+    /**
+     * <dir>/<database>-<YYYYMMDDTHHMMSSmmmZ>[-reason].db
+     */
+    snapshotPath(date, reason) {
+        const stamp = date.toISOString().replace(/[-:.]/g, '');
+        const label = String(reason || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        let target = path.join(this.dir, `${this.prefix}-${stamp}${label ? `-${label}` : ''}.db`);
+        for (let n = 2; fs.existsSync(target); n++) {
+            target = path.join(this.dir, `${this.prefix}-${stamp}${label ? `-${label}` : ''}-${n}.db`);
+        }
+        return target;
+    }
+
+    /**
+     * Snapshots of this database, newest first:
+     * [{ path, size, created_at, reason }]
+     */
+    list() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        const escaped = this.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`^${escaped}-(\\d{8}T\\d{9}Z)(?:-([a-z0-9-]+?))?(?:-\\d+)?\\.db$`);
+        return fs.readdirSync(this.dir)
+            .map(name => ({ name, match: name.match(pattern) }))
+            .filter(({ match }) => match)
+            .map(({ name, match }) => {
+                const stamp = match[1];
+                const createdAt = `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T` +
+                    `${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.${stamp.slice(15, 18)}Z`;
+                const file = path.join(this.dir, name);
+                return { path: file, size: fs.statSync(file).size, created_at: createdAt, reason: match[2] || null };
+            })
+            .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.path.localeCompare(a.path));
+    }
+
+    /**
+     * Deletes the snapshots beyond keep; returns their paths
+     */
+    rotate() {
+        const removed = this.list().slice(this.keep).map(snapshot => snapshot.path);
+        for (const file of removed) {
+            fs.rmSync(file, { force: true });
+        }
+        return removed;
+    }
+
+    /**
+     * Replaces the contents of the database with a snapshot, after checking
+     * the snapshot and taking a snapshot of the current contents.
+     * Returns { restored, memories, schemaVersion, safety }
+     */
+    async restore(file) {
+        const source = path.resolve(file);
+        if (!fs.existsSync(source)) {
+            throw new ValidationError(`Snapshot not found: ${source}`, 'file', file);
+        }
+
+        const check = await MemoryBackup.verify(source);
+        if (!check.ok) {
+            throw new DatabaseError(`Snapshot ${source} is damaged: ${check.errors.join('; ')}`, 'restore');
+        }
+        if (check.memories === null) {
+            throw new ValidationError(`${source} is not a Durandal database (no memories table)`, 'file', file);
+        }
+        new SchemaMigrator({ dbPath: source }).assertSupported(check.schemaVersion);
+
+        const safety = await this.snapshot('pre-restore');
+        await this.db.restoreFrom(source);
+
+        return {
+            restored: source,
+            memories: check.memories,
+            schemaVersion: check.schemaVersion,
+            safety: safety.path
+        };
+    }
+
+    /**
+     * Runs PRAGMA integrity_check on file. It is opened read-write (but
+     * never created): FTS5 cannot check its index over a read-only handle.
+     * Returns { ok, errors, memories (null without a memories table), schemaVersion }
+     */
+    static async verify(file) {
+        const sqlite3 = require('sqlite3');
+
+        const db = await new Promise((resolve, reject) => {
+            const handle = new sqlite3.Database(file, sqlite3.OPEN_READWRITE, (err) => err ? reject(err) : resolve(handle));
+        });
+        const all = (sql) => new Promise((resolve, reject) => {
+            db.all(sql, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+
+        try {
+            const integrity = await all('PRAGMA integrity_check');
+            const errors = integrity.map(row => row.integrity_check).filter(result => result !== 'ok');
+            if (errors.length > 0) {
+                return { ok: false, errors, memories: null, schemaVersion: null };
+            }
+
+            const tables = (await all('SELECT name FROM sqlite_master WHERE type = \'table\'')).map(row => row.name);
+            const memories = tables.includes('memories')
+                ? (await all('SELECT COUNT(*) AS count FROM memories'))[0].count
+                : null;
+            const schemaVersion = tables.includes('schema_migrations')
+                ? (await all('SELECT MAX(version) AS version FROM schema_migrations'))[0].version || 0
+                : 0;
+
+            return { ok: true, errors: [], memories, schemaVersion };
+        } catch (error) {
+            return { ok: false, errors: [error.message], memories: null, schemaVersion: null };
+        } finally {
+            await new Promise(resolve => db.close(() => resolve()));
+        }
+    }
+}
+
+MemoryBackup.DEFAULT_KEEP = DEFAULT_KEEP;
+
+module.exports = MemoryBackup;
@@ -0,0 +1,154 @@
+/**
+ * Memory Cipher - Encryption at rest for memory content and metadata
+ *
+ * Content and metadata are sealed with AES-256-GCM. A sealed value is
+ * "enc:v1:" followed by base64(iv | auth tag | ciphertext).
+ *
+ * The stored metadata of an encrypted memory is an envelope: the full
+ * metadata sealed under "sealed", next to the few fields the filters and
+ * sorts need in SQL (project, session, type, importance, pinned, expires_at).
+ * Categories and keywords are kept as keyed hashes ("blind" values), and the
+ * words of the content as blind search terms for the full-text index, so
+ * equality filters and keyword search keep working without the plaintext.
+ *
+ * The key is 32 bytes, given as 64 hex characters or base64, either in
+ * DURANDAL_ENCRYPTION_KEY or in the file named by DURANDAL_ENCRYPTION_KEY_FILE.
+ * Separate subkeys for sealing and for blind values are derived from it with
+ * HKDF, plus a key id that identifies the key without revealing it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ValidationError } = require('./errors');
+
+const PREFIX = 'enc:v1:';
+const KEY_ENV = 'DURANDAL_ENCRYPTION_KEY';
+const KEY_FILE_ENV = 'DURANDAL_ENCRYPTION_KEY_FILE';
+
+// Metadata fields kept readable in the envelope (filters and sorts use them in SQL)
+const CLEAR_FIELDS = ['project', 'session', 'type', 'importance', 'pinned', 'expires_at'];
+// Tag lists kept as blind values (matched case-insensitively)
+const BLIND_FIELDS = ['categories', 'keywords'];
+
+class MemoryCipher {
+    /**
+     * @param {Buffer} key - 32-byte master key
+     */
+    constructor(key) {
+        const derive = (info) => Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), `durandal ${info}`, 32));
+        this.sealKey = derive('seal');
+        this.blindKey = derive('blind');
+        this.keyId = derive('key id').toString('hex').slice(0, 16);
+    }
+
+    /**
+     * Parses a key given as 64 hex characters or base64 of 32 bytes
+     */
+    static parseKey(text, source = KEY_ENV) {
+        const value = String(text || '').trim();
+        const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+        if (key.length !== 32) {
+            throw new ValidationError(`${source} must be a 32-byte key (64 hex characters or base64); create one with durandal-mcp --generate-key`, source, null);
+        }
+        return key;
+    }
+
+    static generateKey() {
+        return crypto.randomBytes(32).toString('base64');
+    }
+
+    /**
+     * The cipher for the key in the environment (or key file), or null when
+     * none is configured. A configured but unreadable or malformed key throws.
+     */
+    static fromEnvironment(env = process.env, keyEnv = KEY_ENV, keyFileEnv = KEY_FILE_ENV) {
+        if (env[keyEnv]) {
+            return new MemoryCipher(MemoryCipher.parseKey(env[keyEnv], keyEnv));
+        }
+
+        if (env[keyFileEnv]) {
+            let text;
+            try {
+                text = fs.readFileSync(env[keyFileEnv], 'utf8');
+            } catch (error) {
+                throw new ValidationError(`Cannot read the key file in ${keyFileEnv}: ${error.message}`, keyFileEnv, env[keyFileEnv]);
+            }
+            return new MemoryCipher(MemoryCipher.parseKey(text, keyFileEnv));
+        }
+
+        return null;
+    }
+
+    static isSealed(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    seal(text) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.sealKey, iv);
+        const ciphertext = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+        return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+    }
+
+    open(value) {
+        const data = Buffer.from(value.slice(PREFIX.length), 'base64');
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.sealKey, data.subarray(0, 12));
+            decipher.setAuthTag(data.subarray(12, 28));
+            return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error('Cannot decrypt memory: wrong encryption key or corrupted data');
+        }
+    }
+
+    /**
+     * Keyed hash standing in for a value in equality matches
+     */
+    blind(value) {
+        return 'b' + crypto.createHmac('sha256', this.blindKey).update(String(value)).digest('hex').slice(0, 20);
+    }
+
+    /**
+     * Content as blind words (lowercased), in order, for the full-text index
+     */
+    blindTerms(text) {
+        const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+        return words.map(word => this.blind(word)).join(' ');
+    }
+
+    /**
+     * Keyed content hash for duplicate detection (a plain hash of short
+     * content could be reversed by guessing)
+     */
+    hash(normalizedContent) {
+        return crypto.createHmac('sha256', this.blindKey).update(`hash:${normalizedContent}`).digest('hex');
+    }
+
+    /**
+     * Envelope stored in place of the metadata of a memory with this content
+     */
+    sealMetadata(metadata, content) {
+        const envelope = {};
+        for (const field of CLEAR_FIELDS) {
+            if (metadata[field] !== undefined) envelope[field] = metadata[field];
+        }
+        for (const field of BLIND_FIELDS) {
+            if (Array.isArray(metadata[field])) {
+                envelope[field] = metadata[field].filter(tag => typeof tag === 'string').map(tag => this.blind(tag.toLowerCase()));
+            }
+        }
+        envelope.sealed = this.seal(JSON.stringify(metadata));
+        envelope.search_terms = this.blindTerms(content);
+        return envelope;
+    }
+
+    openMetadata(envelope) {
+        return JSON.parse(this.open(envelope.sealed));
+    }
+}
+
+MemoryCipher.KEY_ENV = KEY_ENV;
+MemoryCipher.KEY_FILE_ENV = KEY_FILE_ENV;
+MemoryCipher.CLEAR_FIELDS = CLEAR_FIELDS;
+
+module.exports = MemoryCipher;
@@ -0,0 +1,99 @@
+/**
+ * Durandal MCP Server - Memory Embeddings
+ *
+ * Offline semantic embeddings for memories. Reuses the hash-based 384-dim
+ * encoding from SemanticCodeIndexing so no model download or network access
+ * is needed; meaning is approximated with word and stem features.
+ */
+
+const SemanticCodeIndexing = require('./semantic-code-indexing');
+
+// Bump when the feature extraction changes so stored vectors get rebuilt
+const EMBEDDING_MODEL = 'hash-384-v1';
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had', 'her', 'was',
+    'one', 'our', 'out', 'get', 'has', 'him', 'how', 'now', 'see', 'who', 'did', 'its',
+    'let', 'put', 'say', 'she', 'too', 'use', 'that', 'this', 'with', 'from', 'they',
+    'them', 'then', 'than', 'there', 'were', 'what', 'when', 'where', 'which', 'will',
+    'would', 'could', 'should', 'about', 'into', 'have', 'been', 'some', 'just'
+]);
+
+class MemoryEmbedder {
+    constructor() {
+        this.indexer = new SemanticCodeIndexing();
+        this.model = EMBEDDING_MODEL;
+        this.dimension = this.indexer.embeddingDimension;
+        this.blindFeature = null;
+    }
+
+    /**
+     * Hashes features with a key (encrypted databases), so stored vectors
+     * cannot be compared with embeddings of guessed words. Vectors made
+     * without this key carry another model name and get rebuilt.
+     */
+    useKey(keyId, blindFeature) {
+        this.model = `${EMBEDDING_MODEL}+${keyId}`;
+        this.blindFeature = blindFeature;
+    }
+
+    /**
+     * Embed memory content (plus categories/keywords from metadata)
+     * Returns a unit-length Float32Array
+     */
+    embed(content, metadata = {}) {
+        const features = this.extractFeatures(content);
+
+        for (const tag of [...(metadata.categories || []), ...(metadata.keywords || [])]) {
+            if (typeof tag === 'string') {
+                features.push(...this.extractFeatures(tag));
+            }
+        }
+
+        const keywords = this.blindFeature ? features.map(this.blindFeature) : features;
+        return this.indexer.createHashBasedEmbedding({ keywords });
+    }
+
+    /**
+     * Turns text into hashed features:
+     * - whole words ("authentication")
+     * - 4-letter stems so related words overlap ("auth" ~ "authentication")
+     */
+    extractFeatures(text) {
+        const words = (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+        const features = [];
+
+        for (const word of words) {
+            if (word.length < 3 || STOP_WORDS.has(word)) continue;
+
+            features.push(`word:${word}`);
+            features.push(`stem:${word.substring(0, 4)}`);
+        }
+
+        return features;
+    }
+
+    similarity(vectorA, vectorB) {
+        const score = this.indexer.cosineSimilarity(vectorA, vectorB);
+        return Number.isFinite(score) ? score : 0;
+    }
+
+    /**
+     * Serialize a vector for a SQLite BLOB column
+     */
+    toBuffer(vector) {
+        return Buffer.from(Float32Array.from(vector).buffer);
+    }
+
+    /**
+     * Read a vector back from a SQLite BLOB column
+     */
+    fromBuffer(buffer) {
+        // Copy so the Float32Array is correctly aligned
+        return new Float32Array(new Uint8Array(buffer).buffer);
+    }
+}
+
+MemoryEmbedder.EMBEDDING_MODEL = EMBEDDING_MODEL;
+
+module.exports = MemoryEmbedder;
@@ -0,0 +1,391 @@
+/**
+ * Memory Transfer - Export and import memories
+ *
+ * Two formats:
+ * - jsonl: one JSON record per line (header, memories, links). Lossless, so
+ *   it is the format to move memories between machines.
+ * - markdown: one file per project, readable and diffable in git. Each
+ *   memory carries a `<!-- durandal: {...} -->` comment with its ID,
+ *   timestamp, metadata and outgoing links, so the layout can be imported
+ *   back as well.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ulid, isUlid } = require('./ulid');
+const { ValidationError } = require('./errors');
+
+const EXPORT_VERSION = 1;
+const FORMATS = ['jsonl', 'markdown'];
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'new_id'];
+const MARKER_PATTERN = /^<!-- durandal: (.*) -->$/;
+
+class MemoryTransfer {
+    /**
+     * @param {MCPDatabaseClient} db
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Picks the format from an explicit value or the path
+     * (*.jsonl / *.json -> jsonl, anything else -> markdown directory)
+     */
+    static resolveFormat(format, target) {
+        if (format) {
+            if (!FORMATS.includes(format)) {
+                throw new ValidationError(`Invalid format: ${format}. Must be one of: ${FORMATS.join(', ')}`, 'format', format);
+            }
+            return format;
+        }
+
+        if (!target || target === '-' || /\.jsonl?$/i.test(target)) {
+            return 'jsonl';
+        }
+        return 'markdown';
+    }
+
+    /**
+     * Collects memories (and the links between them) matching the filters
+     * Returns { format, memories, links, files: [{ name, content }] }
+     */
+    async exportMemories(options = {}) {
+        const format = MemoryTransfer.resolveFormat(options.format, options.path);
+
+        const memories = await this.db.getMemoriesForExport({
+            project: options.project,
+            session: options.session,
+            createdAfter: options.createdAfter,
+            createdBefore: options.createdBefore
+        });
+        const links = await this.db.getLinksBetween(memories.map(memory => memory.id));
+
+        const files = format === 'jsonl'
+            ? [{ name: 'memories.jsonl', content: this.toJsonl(memories, links, options) }]
+            : this.toMarkdown(memories, links);
+
+        return { format, memories: memories.length, links: links.length, files };
+    }
+
+    toJsonl(memories, links, options) {
+        const filters = {};
+        for (const key of ['project', 'session', 'createdAfter', 'createdBefore']) {
+            if (options[key]) filters[key] = options[key];
+        }
+
+        const lines = [{
+            type: 'header',
+            format: 'durandal-memories',
+            version: EXPORT_VERSION,
+            exported_at: new Date().toISOString(),
+            filters
+        }];
+
+        for (const memory of memories) {
+            lines.push({
+                type: 'memory',
+                id: memory.uid,
+                content: memory.content,
+                metadata: memory.metadata,
+                created_at: memory.created_at
+            });
+        }
+
+        for (const link of links) {
+            lines.push({
+                type: 'link',
+                source: link.source_uid,
+                target: link.target_uid,
+                link_type: link.link_type,
+                strength: link.strength,
+                inferred: link.inferred,
+                metadata: link.metadata,
+                created_at: link.created_at
+            });
+        }
+
+        return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    toMarkdown(memories, links) {
+        const outgoing = new Map();
+        for (const link of links) {
+            if (!outgoing.has(link.source_uid)) {
+                outgoing.set(link.source_uid, []);
+            }
+            outgoing.get(link.source_uid).push({
+                target: link.target_uid,
+                link_type: link.link_type,
+                strength: link.strength,
+                inferred: link.inferred,
+                metadata: link.metadata
+            });
+        }
+
+        const byProject = new Map();
+        for (const memory of memories) {
+            const project = memory.metadata.project || 'default';
+            if (!byProject.has(project)) {
+                byProject.set(project, []);
+            }
+            byProject.get(project).push(memory);
+        }
+
+        const files = [];
+        for (const [project, projectMemories] of byProject) {
+            let content = `# ${project}\n\n` +
+                `_${projectMemories.length} memories exported from Durandal on ${new Date().toISOString()}_\n`;
+
+            for (const memory of projectMemories) {
+                const marker = {
+                    id: memory.uid,
+                    created_at: memory.created_at,
+                    metadata: memory.metadata
+                };
+                if (outgoing.has(memory.uid)) {
+                    marker.links = outgoing.get(memory.uid);
+                }
+
+                const summary = [memory.metadata.session, ...(memory.metadata.categories || [])].filter(Boolean).join(', ');
+                content += `\n<!-- durandal: ${JSON.stringify(marker).replace(/-->/g, '--\\u003e')} -->\n` +
+                    `## ${memory.created_at}${summary ? ` (${summary})` : ''}\n\n` +
+                    `${memory.content}\n`;
+            }
+
+            files.push({ name: `${MemoryTransfer.slugify(project)}.md`, content });
+        }
+
+        return files;
+    }
+
+    static slugify(name) {
+        return String(name).replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^\.+/, '_') || 'default';
+    }
+
+    /**
+     * Writes an export to a file (jsonl), a directory (markdown) or stdout ('-')
+     * Returns the paths written
+     */
+    writeExport(result, target) {
+        if (result.format === 'jsonl') {
+            if (target === '-') {
+                process.stdout.write(result.files[0].content);
+                return [];
+            }
+            fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+            fs.writeFileSync(target, result.files[0].content);
+            return [target];
+        }
+
+        fs.mkdirSync(target, { recursive: true });
+        return result.files.map(file => {
+            const filePath = path.join(target, file.name);
+            fs.writeFileSync(filePath, file.content);
+            return filePath;
+        });
+    }
+
+    /**
+     * Reads an export from a file or directory into { memories, links }
+     */
+    readImport(source, format) {
+        if (!fs.existsSync(source)) {
+            throw new ValidationError(`Import source not found: ${source}`, 'path', source);
+        }
+
+        if (fs.statSync(source).isDirectory()) {
+            const files = fs.readdirSync(source).filter(name => name.endsWith('.md')).sort();
+            const records = { memories: [], links: [] };
+            for (const name of files) {
+                const parsed = this.parseMarkdown(fs.readFileSync(path.join(source, name), 'utf8'), name);
+                records.memories.push(...parsed.memories);
+                records.links.push(...parsed.links);
+            }
+            return records;
+        }
+
+        const text = fs.readFileSync(source, 'utf8');
+        return MemoryTransfer.resolveFormat(format, source) === 'jsonl'
+            ? this.parseJsonl(text)
+            : this.parseMarkdown(text, path.basename(source));
+    }
+
+    parseJsonl(text) {
+        const records = { memories: [], links: [] };
+
+        text.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                throw new ValidationError(`Invalid JSON on line ${index + 1}: ${error.message}`, 'line', index + 1);
+            }
+
+            if (record.type === 'header') {
+                if (record.version > EXPORT_VERSION) {
+                    throw new ValidationError(`Export version ${record.version} is newer than this server supports (${EXPORT_VERSION})`, 'version', record.version);
+                }
+            } else if (record.type === 'memory') {
+                if (typeof record.content !== 'string' || !record.content) {
+                    throw new ValidationError(`Memory on line ${index + 1} has no content`, 'content', index + 1);
+                }
+                records.memories.push(record);
+            } else if (record.type === 'link') {
+                records.links.push(record);
+            }
+        });
+
+        return records;
+    }
+
+    parseMarkdown(text, fileName = 'markdown') {
+        const records = { memories: [], links: [] };
+        const lines = text.split('\n');
+        let current = null;
+
+        const finish = () => {
+            if (!current) return;
+            current.memory.content = current.body.join('\n').trim();
+            if (current.memory.content) {
+                records.memories.push(current.memory);
+            }
+        };
+
+        lines.forEach((line, index) => {
+            const match = MARKER_PATTERN.exec(line);
+            if (!match) {
+                if (current && !(current.body.length === 0 && line.startsWith('## '))) {
+                    current.body.push(line);
+                }
+                return;
+            }
+
+            finish();
+
+            let marker;
+            try {
+                marker = JSON.parse(match[1]);
+            } catch (error) {
+                throw new ValidationError(`Invalid durandal marker in ${fileName} line ${index + 1}`, 'line', index + 1);
+            }
+
+            current = {
+                memory: {
+                    type: 'memory',
+                    id: marker.id,
+                    created_at: marker.created_at,
+                    metadata: marker.metadata || {}
+                },
+                body: []
+            };
+            for (const link of marker.links || []) {
+                records.links.push({ type: 'link', source: marker.id, ...link });
+            }
+        });
+
+        finish();
+        return records;
+    }
+
+    /**
+     * Imports parsed records
+     *
+     * onConflict decides what happens when a memory ID already exists:
+     * - skip (default): keep the existing memory
+     * - overwrite: replace its content and metadata with the imported ones
+     * - new_id: import it as a new memory under a fresh ID
+     * An ID taken by a memory the caller cannot read (another user's, or
+     * expired) is denied, except with new_id; links to it are not imported.
+     *
+     * stats.changed lists the memories stored or overwritten, as { uid, metadata }
+     */
+    async importMemories(records, options = {}) {
+        const onConflict = options.onConflict || 'skip';
+        if (!CONFLICT_POLICIES.includes(onConflict)) {
+            throw new ValidationError(`Invalid conflict policy: ${onConflict}. Must be one of: ${CONFLICT_POLICIES.join(', ')}`, 'on_conflict', onConflict);
+        }
+
+        const stats = { imported: 0, overwritten: 0, skipped: 0, denied: 0, links: 0, linksSkipped: 0, errors: [], changed: [] };
+        const rowIds = new Map(); // exported ID -> row id in this database
+
+        for (const record of records.memories) {
+            // Only ULIDs identify the same memory across databases
+            const existing = isUlid(record.id) ? await this.db.getMemoryById(record.id) : null;
+            const hidden = !existing && isUlid(record.id) && await this.db.hasMemory(record.id);
+
+            if (hidden && onConflict !== 'new_id') {
+                stats.denied++;
+                stats.errors.push(`${record.id}: ID belongs to a memory you cannot read`);
+                continue;
+            }
+
+            if (existing && onConflict === 'skip') {
+                rowIds.set(record.id, existing.id);
+                stats.skipped++;
+                continue;
+            }
+
+            if (existing && onConflict === 'overwrite') {
+                const result = await this.db.updateMemory(existing.id, {
+                    content: record.content,
+                    metadata: record.metadata || {},
+                    replaceMetadata: true,
+                    reason: 'import'
+                });
+                if (result.success) {
+                    rowIds.set(record.id, existing.id);
+                    stats.overwritten++;
+                    stats.changed.push({ uid: existing.uid, metadata: existing.metadata }, { uid: existing.uid, metadata: record.metadata || {} });
+                } else {
+                    stats.errors.push(`${record.id}: ${result.error}`);
+                }
+                continue;
+            }
+
+            // New memory; numeric IDs from pre-ULID exports get a fresh one
+            const uid = !existing && !hidden && isUlid(record.id) ? record.id.toUpperCase() : ulid();
+            const result = await this.db.storeMemory(record.content, record.metadata || {}, {
+                uid,
+                createdAt: record.created_at
+            });
+
+            if (result.success) {
+                if (record.id) rowIds.set(record.id, result.id);
+                stats.imported++;
+                stats.changed.push({ uid, metadata: record.metadata || {} });
+            } else {
+                stats.errors.push(`${record.id || 'memory'}: ${result.error}`);
+            }
+        }
+
+        for (const link of records.links) {
+            const sourceId = rowIds.get(link.source);
+            const targetId = rowIds.get(link.target);
+            if (sourceId === undefined || targetId === undefined) {
+                stats.linksSkipped++;
+                continue;
+            }
+
+            const result = await this.db.linkMemories(sourceId, targetId, link.link_type, {
+                strength: link.strength,
+                inferred: link.inferred,
+                metadata: link.metadata
+            });
+            if (result.success) {
+                stats.links++;
+            } else {
+                stats.linksSkipped++;
+            }
+        }
+
+        return stats;
+    }
+}
+
+MemoryTransfer.FORMATS = FORMATS;
+MemoryTransfer.CONFLICT_POLICIES = CONFLICT_POLICIES;
+
+module.exports = MemoryTransfer;
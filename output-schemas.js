@@ -0,0 +1,471 @@
+/**
+ * Output Schemas - JSON Schemas for the structured results of the MCP tools
+ *
+ * Every tool answers twice: Markdown text for people, and structuredContent
+ * (full records, no truncation) for agents. Clients validate structuredContent
+ * against the tool's outputSchema, so a handler's structuredContent and its
+ * schema here must change together.
+ *
+ * Memories are identified by their ID (the ULID), never by database row id.
+ */
+
+const MEMORY_PROPERTIES = {
+    id: { type: 'string', description: 'Memory ID' },
+    content: { type: 'string' },
+    metadata: { type: 'object' },
+    created_at: { type: 'string' },
+    owner: { type: 'string', description: 'User the memory belongs to; absent for memories stored before ownership' },
+    visibility: { type: 'string', enum: ['private', 'team', 'public'] }
+};
+
+const MEMORY = {
+    type: 'object',
+    properties: MEMORY_PROPERTIES,
+    required: ['id', 'content', 'metadata']
+};
+
+const LINK = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', description: 'ID of the linked memory' },
+        type: { type: 'string' },
+        direction: { type: 'string', enum: ['outgoing', 'incoming'] },
+        strength: { type: 'number' },
+        inferred: { type: 'boolean' },
+        content: { type: 'string' }
+    },
+    required: ['id', 'type', 'direction']
+};
+
+const PAGINATION = {
+    type: 'object',
+    properties: {
+        offset: { type: 'integer' },
+        limit: { type: 'integer' },
+        total: { type: 'integer', description: 'Matches across all pages' },
+        next_cursor: { type: 'string', description: 'Pass as cursor for the next page; absent on the last page' }
+    },
+    required: ['offset', 'limit', 'total']
+};
+
+const DUPLICATE = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', description: 'ID of the memory the content duplicates' },
+        similarity: { type: 'number' },
+        exact: { type: 'boolean' }
+    },
+    required: ['id', 'similarity', 'exact']
+};
+
+const GROUP = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        memoryCount: { type: 'integer' },
+        firstMemory: { type: 'string' },
+        lastMemory: { type: 'string' },
+        samples: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { content: { type: 'string' }, created_at: { type: 'string' } }
+            }
+        }
+    },
+    required: ['name', 'memoryCount']
+};
+
+const OUTPUT_SCHEMAS = {
+    store_memory: {
+        type: 'object',
+        properties: {
+            status: {
+                type: 'string',
+                enum: ['stored', 'queued', 'merged', 'rejected'],
+                description: 'queued: the database was busy and the write will be retried; merged/rejected: the content duplicates the memory returned'
+            },
+            id: { type: 'string' },
+            memory: MEMORY,
+            duplicate: DUPLICATE,
+            times_stored: { type: 'integer' }
+        },
+        required: ['status', 'id', 'memory']
+    },
+
+    update_memory: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            updated: { type: 'array', items: { type: 'string' } },
+            memory: MEMORY
+        },
+        required: ['id', 'updated', 'memory']
+    },
+
+    get_memory_history: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            versions: {
+                type: 'array',
+                description: 'Oldest first; the last one is the current content',
+                items: {
+                    type: 'object',
+                    properties: {
+                        version: { type: 'integer' },
+                        content: { type: 'string' },
+                        metadata: { type: 'object' },
+                        since: { type: 'string' },
+                        reason: { type: 'string' },
+                        current: { type: 'boolean' }
+                    },
+                    required: ['version', 'content', 'metadata', 'reason', 'current']
+                }
+            }
+        },
+        required: ['id', 'versions']
+    },
+
+    revert_memory: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            reverted_to: { type: 'integer' },
+            version: { type: 'integer', description: 'New current version' },
+            memory: MEMORY
+        },
+        required: ['id', 'reverted_to', 'version', 'memory']
+    },
+
+    delete_memory: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            deleted: { type: 'boolean' }
+        },
+        required: ['id', 'deleted']
+    },
+
+    search_memories: {
+        type: 'object',
+        properties: {
+            query: { type: 'string' },
+            mode: { type: 'string' },
+            sort: { type: 'string' },
+            results: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        ...MEMORY_PROPERTIES,
+                        score: { type: 'number' },
+                        matched_by: { type: 'array', items: { type: 'string' } },
+                        snippet: { type: 'string' },
+                        archived: { type: 'boolean' },
+                        pending: { type: 'boolean', description: 'Queued write not yet in the database' },
+                        links: { type: 'array', items: LINK }
+                    },
+                    required: ['id', 'content', 'metadata', 'links']
+                }
+            },
+            pagination: PAGINATION
+        },
+        required: ['query', 'mode', 'sort', 'results', 'pagination']
+    },
+
+    link_memories: {
+        type: 'object',
+        properties: {
+            source_id: { type: 'string' },
+            target_id: { type: 'string' },
+            type: { type: 'string' },
+            note: { type: 'string' }
+        },
+        required: ['source_id', 'target_id', 'type']
+    },
+
+    share_project: {
+        type: 'object',
+        properties: {
+            project: { type: 'string' },
+            owner: { type: 'string' },
+            action: { type: 'string', enum: ['shared', 'revoked'] },
+            users: { type: 'array', items: { type: 'string' } },
+            shares: {
+                type: 'array',
+                description: 'Everyone the project is shared with after the change',
+                items: {
+                    type: 'object',
+                    properties: {
+                        user: { type: 'string' },
+                        permission: { type: 'string', enum: ['read', 'write'] },
+                        created_at: { type: 'string' }
+                    },
+                    required: ['user', 'permission']
+                }
+            }
+        },
+        required: ['project', 'owner', 'action', 'users', 'shares']
+    },
+
+    restore_memory: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            memory: MEMORY,
+            archived_at: { type: 'string' },
+            archive_reason: { type: 'string' }
+        },
+        required: ['id', 'memory']
+    },
+
+    export_memories: {
+        type: 'object',
+        properties: {
+            format: { type: 'string' },
+            memories: { type: 'integer' },
+            links: { type: 'integer' },
+            files: {
+                type: 'array',
+                description: 'Paths written, or the export itself when no path was given',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        path: { type: 'string' },
+                        content: { type: 'string' }
+                    },
+                    required: ['name']
+                }
+            }
+        },
+        required: ['format', 'memories', 'links', 'files']
+    },
+
+    import_memories: {
+        type: 'object',
+        properties: {
+            imported: { type: 'integer' },
+            overwritten: { type: 'integer' },
+            skipped: { type: 'integer' },
+            denied: { type: 'integer', description: 'Memories whose ID belongs to a memory the caller cannot read' },
+            links: { type: 'integer' },
+            links_skipped: { type: 'integer' },
+            errors: { type: 'array', items: { type: 'string' } },
+            ids: { type: 'array', items: { type: 'string' }, description: 'IDs of the memories imported or overwritten' }
+        },
+        required: ['imported', 'overwritten', 'skipped', 'denied', 'links', 'links_skipped', 'errors', 'ids']
+    },
+
+    backup_memories: {
+        type: 'object',
+        properties: {
+            snapshot: {
+                type: 'object',
+                description: 'The snapshot just taken (absent with list)',
+                properties: {
+                    path: { type: 'string' },
+                    size: { type: 'integer', description: 'Bytes' },
+                    created_at: { type: 'string' },
+                    reason: { type: 'string' },
+                    memories: { type: 'integer' },
+                    schema_version: { type: 'integer' },
+                    integrity: { type: 'string', enum: ['ok'] }
+                },
+                required: ['path', 'size', 'created_at', 'memories', 'integrity']
+            },
+            removed: { type: 'array', items: { type: 'string' }, description: 'Snapshots deleted by rotation' },
+            snapshots: {
+                type: 'array',
+                description: 'Snapshots kept, newest first',
+                items: {
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string' },
+                        size: { type: 'integer' },
+                        created_at: { type: 'string' },
+                        reason: { type: ['string', 'null'] }
+                    },
+                    required: ['path', 'size', 'created_at']
+                }
+            },
+            directory: { type: 'string' },
+            keep: { type: 'integer' }
+        },
+        required: ['removed', 'snapshots', 'directory', 'keep']
+    },
+
+    get_context: {
+        type: 'object',
+        properties: {
+            project: { type: 'string' },
+            session: { type: 'string' },
+            sort: { type: 'string', description: 'priority when packed into max_tokens' },
+            memories: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        ...MEMORY_PROPERTIES,
+                        summarized: { type: 'boolean', description: 'content is a summary (max_tokens)' }
+                    },
+                    required: ['id', 'content', 'metadata']
+                }
+            },
+            pagination: PAGINATION,
+            budget: {
+                type: 'object',
+                description: 'With max_tokens, instead of pagination',
+                properties: {
+                    max_tokens: { type: 'integer' },
+                    used_tokens: { type: 'integer' },
+                    included: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { id: { type: 'string' }, tokens: { type: 'integer' }, summarized: { type: 'boolean' } },
+                            required: ['id', 'tokens', 'summarized']
+                        }
+                    },
+                    omitted: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { id: { type: 'string' }, tokens: { type: 'integer' } },
+                            required: ['id', 'tokens']
+                        }
+                    },
+                    not_considered: { type: 'integer', description: 'Older memories beyond the candidates looked at' }
+                },
+                required: ['max_tokens', 'used_tokens', 'included', 'omitted', 'not_considered']
+            },
+            stats: {
+                type: 'object',
+                properties: {
+                    total_memories: { type: 'integer' },
+                    cache_size: { type: 'integer' },
+                    cache_max_size: { type: 'integer' },
+                    cache_hit_rate: { type: 'number' },
+                    ramr_enabled: { type: 'boolean' },
+                    selective_attention_enabled: { type: 'boolean' }
+                }
+            }
+        },
+        required: ['project', 'session', 'sort', 'memories']
+    },
+
+    optimize_memory: {
+        type: 'object',
+        properties: {
+            results: {
+                type: 'array',
+                description: 'One entry per operation, with the counts it reported',
+                items: {
+                    type: 'object',
+                    properties: {
+                        operation: { type: 'string' },
+                        success: { type: 'boolean' },
+                        error: { type: 'string' }
+                    },
+                    required: ['operation', 'success']
+                }
+            }
+        },
+        required: ['results']
+    },
+
+    get_status: {
+        type: 'object',
+        properties: {
+            version: { type: 'string' },
+            uptime: { type: 'string' },
+            memory: {
+                type: 'object',
+                description: 'Process memory in MB',
+                properties: {
+                    rss: { type: 'string' },
+                    heapUsed: { type: 'string' },
+                    heapTotal: { type: 'string' }
+                }
+            },
+            database: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string' },
+                    connected: { type: 'boolean' },
+                    size: { type: 'string', description: 'MB' },
+                    memoryCount: { type: 'integer' },
+                    projectCount: { type: 'integer' },
+                    sessionCount: { type: 'integer' },
+                    encrypted: { type: 'boolean', description: 'Memory content and metadata are encrypted at rest' },
+                    locked: { type: 'boolean', description: 'Encrypted, and the key is missing or wrong' }
+                }
+            },
+            cache: {
+                type: 'object',
+                properties: {
+                    size: { type: 'integer' },
+                    maxSize: { type: 'integer' }
+                }
+            },
+            logging: {
+                type: 'object',
+                properties: {
+                    consoleLevel: { type: 'string' },
+                    fileLevel: { type: 'string' },
+                    logFile: { type: 'string' }
+                }
+            },
+            node: { type: 'string' },
+            platform: { type: 'string' },
+            pid: { type: 'integer' }
+        },
+        required: ['version', 'database', 'cache', 'logging']
+    },
+
+    configure_logging: {
+        type: 'object',
+        properties: {
+            updated: { type: 'array', items: { type: 'string' } },
+            console_level: { type: 'string' },
+            file_level: { type: 'string' },
+            log_file: { type: 'string' },
+            config_path: { type: 'string' }
+        },
+        required: ['updated', 'console_level', 'file_level']
+    },
+
+    get_logs: {
+        type: 'object',
+        properties: {
+            log_file: { type: 'string' },
+            total: { type: 'integer', description: 'Entries matching the filters' },
+            entries: {
+                type: 'array',
+                description: 'Most recent matching entries, oldest first',
+                items: { type: 'object' }
+            }
+        },
+        required: ['log_file', 'total', 'entries']
+    },
+
+    list_projects_sessions: {
+        type: 'object',
+        properties: {
+            projects: { type: 'array', items: GROUP },
+            sessions: { type: 'array', items: GROUP },
+            summary: {
+                type: 'object',
+                properties: {
+                    projects: { type: 'integer' },
+                    sessions: { type: 'integer' },
+                    memories: { type: 'integer' }
+                }
+            }
+        },
+        required: ['summary']
+    }
+};
+
+module.exports = { OUTPUT_SCHEMAS };
@@ -0,0 +1,501 @@
+/**
+ * Schema Migrations - Versioned upgrades of the memories database
+ *
+ * Each migration has a version, a name and an up step (plus a down step to
+ * undo it, except for the base schema). The versions applied to a database
+ * are recorded in its schema_migrations table. Pending migrations run in
+ * order at startup, each in its own transaction, after a copy of the
+ * database has been saved next to it.
+ *
+ * Databases created before this framework have no schema_migrations table.
+ * Their schema matches some prefix of the migrations below, so every up step
+ * is written to be a no-op for what already exists (CREATE ... IF NOT EXISTS,
+ * columns added only when missing), and such databases are simply migrated
+ * from version 0.
+ *
+ * A database with a version higher than the last one here was upgraded by a
+ * newer release; it is refused rather than opened with a schema this code
+ * does not understand.
+ *
+ * The full-text index is not a migration: its shape depends on encryption
+ * and on SQLite having FTS5, so MCPDatabaseClient creates it at startup.
+ */
+
+const fs = require('fs');
+const { ulid } = require('./ulid');
+const { DatabaseError } = require('./errors');
+
+async function columnNames(db, table) {
+    const columns = await db.query(`SELECT name FROM pragma_table_info('${table}')`);
+    return columns.rows.map(column => column.name);
+}
+
+/**
+ * Adds [name, type] columns that the table does not have yet
+ */
+async function addColumns(db, table, columns) {
+    const existing = await columnNames(db, table);
+    for (const [name, type] of columns) {
+        if (!existing.includes(name)) {
+            await db.query(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+        }
+    }
+}
+
+async function dropColumns(db, table, names) {
+    const existing = await columnNames(db, table);
+    for (const name of names) {
+        if (existing.includes(name)) {
+            await db.query(`ALTER TABLE ${table} DROP COLUMN ${name}`);
+        }
+    }
+}
+
+// (memory_id, kind, value) rows for the memory row "row"; from adds the table for backfills
+function tagRows(row, from = '') {
+    return [['category', '$.categories'], ['keyword', '$.keywords']]
+        .map(([kind, path]) => `
+            SELECT ${row}.id, '${kind}', lower(tag.value)
+            FROM ${from}json_each(CASE WHEN json_valid(${row}.metadata) THEN ${row}.metadata END, '${path}') AS tag
+            WHERE tag.type = 'text'`)
+        .join(' UNION ALL ');
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'base_schema',
+        async up(db) {
+            // Simplified schema: single table for all memories instead of 4 complex tables
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS memories (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    content TEXT NOT NULL,
+                    metadata TEXT, -- JSON: {importance, categories, keywords, type, project, session, etc.}
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_memories_created_at ON memories(created_at);
+                CREATE INDEX IF NOT EXISTS idx_memories_project ON memories(json_extract(metadata, '$.project')) WHERE json_extract(metadata, '$.project') IS NOT NULL;
+                CREATE INDEX IF NOT EXISTS idx_memories_session ON memories(json_extract(metadata, '$.session')) WHERE json_extract(metadata, '$.session') IS NOT NULL;
+
+                -- Offline semantic search: one hash-based embedding per memory
+                CREATE TABLE IF NOT EXISTS memory_embeddings (
+                    memory_id INTEGER PRIMARY KEY,
+                    embedding BLOB NOT NULL,
+                    model TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TRIGGER IF NOT EXISTS memory_embeddings_delete AFTER DELETE ON memories BEGIN
+                    DELETE FROM memory_embeddings WHERE memory_id = old.id;
+                END;
+
+                -- Selective attention: low-value memories moved out of the hot table
+                CREATE TABLE IF NOT EXISTS archived_memories (
+                    id INTEGER PRIMARY KEY,
+                    content TEXT NOT NULL,
+                    metadata TEXT,
+                    created_at DATETIME,
+                    archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    archive_reason TEXT,
+                    retention_score REAL
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_archived_memories_archived_at ON archived_memories(archived_at);
+
+                -- Typed memory-to-memory relationships (source --link_type--> target)
+                CREATE TABLE IF NOT EXISTS memory_links (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    source_id INTEGER NOT NULL,
+                    target_id INTEGER NOT NULL,
+                    link_type TEXT NOT NULL,
+                    strength REAL DEFAULT 1.0,
+                    inferred INTEGER DEFAULT 0,
+                    metadata TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (source_id, target_id, link_type)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_memory_links_target ON memory_links(target_id);
+
+                -- Edit history: the content/metadata a memory had before each update
+                CREATE TABLE IF NOT EXISTS memory_versions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    memory_id INTEGER NOT NULL,
+                    version INTEGER NOT NULL,
+                    content TEXT NOT NULL,
+                    metadata TEXT,
+                    reason TEXT, -- why this version was replaced
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- when it was replaced
+                    UNIQUE (memory_id, version)
+                );
+
+                -- RAMR access events (store/search/context hits), pruned by age and per memory
+                CREATE TABLE IF NOT EXISTS access_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    memory_uid TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    accessed_at INTEGER NOT NULL -- epoch ms
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_access_log_memory ON access_log(memory_uid, accessed_at);
+                CREATE INDEX IF NOT EXISTS idx_access_log_accessed_at ON access_log(accessed_at);
+
+                -- Per-database settings, e.g. the encryption marker (key id)
+                CREATE TABLE IF NOT EXISTS durandal_settings (
+                    key TEXT PRIMARY KEY,
+                    value TEXT
+                );
+
+                -- Legacy compatibility: Keep existing tables for backward compatibility
+                CREATE TABLE IF NOT EXISTS projects (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT UNIQUE NOT NULL,
+                    path TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS conversation_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    project_id INTEGER NOT NULL,
+                    session_name TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    is_active BOOLEAN DEFAULT 1,
+                    FOREIGN KEY (project_id) REFERENCES projects (id)
+                );
+
+                CREATE TABLE IF NOT EXISTS conversation_messages (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    session_id INTEGER NOT NULL,
+                    role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+                    content TEXT NOT NULL,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    metadata TEXT,
+                    FOREIGN KEY (session_id) REFERENCES conversation_sessions (id)
+                );
+            `);
+        },
+        // Undoing the base schema would mean deleting every memory
+        down: null
+    },
+    {
+        version: 2,
+        name: 'memory_uids',
+        // uid: the ULID shown to clients; id stays internal (FTS rowid, links)
+        async up(db) {
+            for (const table of ['memories', 'archived_memories']) {
+                await addColumns(db, table, [['uid', 'TEXT']]);
+                await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_uid ON ${table}(uid)`);
+            }
+
+            // ULIDs from created_at, so the new IDs sort like the memories
+            const missing = await db.query('SELECT id, created_at FROM memories WHERE uid IS NULL');
+            for (const row of missing.rows) {
+                const created = Date.parse(`${String(row.created_at || '').replace(' ', 'T')}Z`);
+                await db.query('UPDATE memories SET uid = ? WHERE id = ?', [ulid(Number.isFinite(created) ? created : Date.now()), row.id]);
+            }
+        },
+        async down(db) {
+            for (const table of ['memories', 'archived_memories']) {
+                await db.query(`DROP INDEX IF EXISTS idx_${table}_uid`);
+                await dropColumns(db, table, ['uid']);
+            }
+        }
+    },
+    {
+        version: 3,
+        name: 'content_hashes',
+        // content_hash: hash of normalized content, for duplicate detection
+        // (filled in by MCPDatabaseClient, which knows the encryption key)
+        async up(db) {
+            await addColumns(db, 'memories', [['content_hash', 'TEXT']]);
+
+            // durandal-migrate used to create an expression index under this name
+            const index = await db.query('SELECT sql FROM sqlite_master WHERE type = \'index\' AND name = \'idx_memories_content_hash\'');
+            if (index.rows.length > 0 && !/\(content_hash\)/.test(index.rows[0].sql)) {
+                await db.query('DROP INDEX idx_memories_content_hash');
+            }
+            await db.query('CREATE INDEX IF NOT EXISTS idx_memories_content_hash ON memories(content_hash)');
+        },
+        async down(db) {
+            await db.query('DROP INDEX IF EXISTS idx_memories_content_hash');
+            await dropColumns(db, 'memories', ['content_hash']);
+        }
+    },
+    {
+        version: 4,
+        name: 'filter_indexes',
+        // type, importance and expires_at get expression indexes. Categories and keywords are
+        // arrays, which SQLite cannot index, so triggers copy them (lowercased)
+        // into memory_tags with json_each, backfilled from the existing rows.
+        async up(db) {
+            await db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(json_extract(metadata, '$.type')) WHERE json_extract(metadata, '$.type') IS NOT NULL;
+                CREATE INDEX IF NOT EXISTS idx_memories_importance ON memories(json_extract(metadata, '$.importance')) WHERE json_extract(metadata, '$.importance') IS NOT NULL;
+                CREATE INDEX IF NOT EXISTS idx_memories_expires_at ON memories(json_extract(metadata, '$.expires_at')) WHERE json_extract(metadata, '$.expires_at') IS NOT NULL;
+
+                CREATE TABLE IF NOT EXISTS memory_tags (
+                    memory_id INTEGER NOT NULL,
+                    kind TEXT NOT NULL, -- 'category' or 'keyword'
+                    value TEXT NOT NULL,
+                    PRIMARY KEY (kind, value, memory_id)
+                ) WITHOUT ROWID;
+
+                CREATE INDEX IF NOT EXISTS idx_memory_tags_memory ON memory_tags(memory_id);
+
+                CREATE TRIGGER IF NOT EXISTS memory_tags_insert AFTER INSERT ON memories BEGIN
+                    INSERT OR IGNORE INTO memory_tags (memory_id, kind, value) ${tagRows('new')};
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS memory_tags_update AFTER UPDATE OF metadata ON memories BEGIN
+                    DELETE FROM memory_tags WHERE memory_id = old.id;
+                    INSERT OR IGNORE INTO memory_tags (memory_id, kind, value) ${tagRows('new')};
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS memory_tags_delete AFTER DELETE ON memories BEGIN
+                    DELETE FROM memory_tags WHERE memory_id = old.id;
+                END;
+            `);
+            await db.query(`INSERT OR IGNORE INTO memory_tags (memory_id, kind, value) ${tagRows('memories', 'memories, ')}`);
+        },
+        async down(db) {
+            await db.exec(`
+                DROP TRIGGER IF EXISTS memory_tags_insert;
+                DROP TRIGGER IF EXISTS memory_tags_update;
+                DROP TRIGGER IF EXISTS memory_tags_delete;
+                DROP TABLE IF EXISTS memory_tags;
+                DROP INDEX IF EXISTS idx_memories_type;
+                DROP INDEX IF EXISTS idx_memories_importance;
+                DROP INDEX IF EXISTS idx_memories_expires_at;
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'ownership',
+        // owner (NULL for memories older than access control), the owner's
+        // namespace (team), visibility (private, team or public), and the
+        // projects an owner shares with named users
+        async up(db) {
+            const columns = [['owner', 'TEXT'], ['namespace', 'TEXT'], ['visibility', 'TEXT']];
+            await addColumns(db, 'memories', columns);
+            await addColumns(db, 'archived_memories', columns);
+
+            await db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_memories_owner ON memories(owner, visibility);
+
+                CREATE TABLE IF NOT EXISTS project_shares (
+                    owner TEXT NOT NULL,
+                    project TEXT NOT NULL,
+                    user TEXT NOT NULL,
+                    permission TEXT NOT NULL CHECK (permission IN ('read', 'write')),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (owner, project, user)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_project_shares_user ON project_shares(user);
+            `);
+        },
+        async down(db) {
+            await db.exec(`
+                DROP TABLE IF EXISTS project_shares;
+                DROP INDEX IF EXISTS idx_memories_owner;
+            `);
+            await dropColumns(db, 'memories', ['owner', 'namespace', 'visibility']);
+            await dropColumns(db, 'archived_memories', ['owner', 'namespace', 'visibility']);
+        }
+    }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+class SchemaMigrator {
+    /**
+     * @param {MCPDatabaseClient} db - Provides query, exec, transaction and dbPath
+     * @param {Array} migrations - Ordered migrations (default: MIGRATIONS)
+     */
+    constructor(db, migrations = MIGRATIONS) {
+        this.db = db;
+        this.migrations = migrations;
+        this.latest = migrations[migrations.length - 1].version;
+    }
+
+    async ensureTable() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    /**
+     * Highest applied version (0 for a new or pre-migration database)
+     */
+    async currentVersion() {
+        await this.ensureTable();
+        const result = await this.db.query('SELECT MAX(version) AS version FROM schema_migrations');
+        return result.rows[0].version || 0;
+    }
+
+    /**
+     * { current, latest, pending: [{ version, name }], applied: [{ version, name, applied_at }] }
+     * Throws a DatabaseError when the database is newer than this code.
+     */
+    async status() {
+        const current = await this.currentVersion();
+        this.assertSupported(current);
+
+        const applied = await this.db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        return {
+            current,
+            latest: this.latest,
+            pending: this.migrations
+                .filter(migration => migration.version > current)
+                .map(({ version, name }) => ({ version, name })),
+            applied: applied.rows
+        };
+    }
+
+    assertSupported(current) {
+        if (current > this.latest) {
+            const error = new Error(`schema version ${current} > ${this.latest}`);
+            error.code = 'SCHEMA_TOO_NEW';
+            throw new DatabaseError(
+                `Database ${this.db.dbPath} has schema version ${current}, but this version of Durandal only supports up to ${this.latest}; it was upgraded by a newer release`,
+                'migrate',
+                error
+            );
+        }
+    }
+
+    /**
+     * Applies the pending migrations (up to options.target) in order, each in
+     * its own transaction. Unless options.backup is false, the database is
+     * first copied next to itself (when it holds anything worth keeping).
+     * options.dryRun only reports what would be done.
+     * Returns { from, to, applied: [{ version, name }], backup, dryRun }
+     */
+    async migrate(options = {}) {
+        const { target = this.latest, dryRun = false, backup = true } = options;
+        const from = await this.currentVersion();
+        this.assertSupported(from);
+
+        const steps = this.migrations.filter(migration => migration.version > from && migration.version <= target);
+        const plan = { from, to: steps.length > 0 ? steps[steps.length - 1].version : from, applied: steps.map(({ version, name }) => ({ version, name })), backup: null, dryRun };
+
+        if (steps.length === 0) {
+            return plan;
+        }
+
+        const needsBackup = backup && await this.hasData();
+        if (dryRun) {
+            plan.backup = needsBackup ? this.backupPath(from) : null;
+            return plan;
+        }
+
+        if (needsBackup) {
+            plan.backup = await this.backup(from);
+        }
+
+        // Another connection may be migrating the same database: each step
+        // is skipped if it was applied while this one waited for the lock
+        for (const migration of steps) {
+            await this.db.transaction(async () => {
+                const applied = await this.db.query('SELECT 1 AS applied FROM schema_migrations WHERE version = ?', [migration.version]);
+                if (applied.rows.length > 0) {
+                    return;
+                }
+                await migration.up(this.db);
+                await this.db.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            });
+        }
+
+        return plan;
+    }
+
+    /**
+     * Undoes the migrations above target, newest first, each in its own
+     * transaction (after a backup, as for migrate). The base schema cannot
+     * be undone.
+     * Returns { from, to, reverted: [{ version, name }], backup, dryRun }
+     */
+    async rollback(target, options = {}) {
+        const { dryRun = false, backup = true } = options;
+        const from = await this.currentVersion();
+        this.assertSupported(from);
+
+        const steps = this.migrations
+            .filter(migration => migration.version > target && migration.version <= from)
+            .reverse();
+        const irreversible = steps.find(migration => !migration.down);
+        if (irreversible) {
+            throw new DatabaseError(`Migration ${irreversible.version} (${irreversible.name}) cannot be undone`, 'migrate');
+        }
+
+        const plan = { from, to: steps.length > 0 ? target : from, reverted: steps.map(({ version, name }) => ({ version, name })), backup: null, dryRun };
+        if (steps.length === 0) {
+            return plan;
+        }
+
+        if (dryRun) {
+            plan.backup = backup ? this.backupPath(from) : null;
+            return plan;
+        }
+
+        if (backup) {
+            plan.backup = await this.backup(from);
+        }
+
+        for (const migration of steps) {
+            await this.db.transaction(async () => {
+                const applied = await this.db.query('SELECT 1 AS applied FROM schema_migrations WHERE version = ?', [migration.version]);
+                if (applied.rows.length === 0) {
+                    return;
+                }
+                await migration.down(this.db);
+                await this.db.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            });
+        }
+
+        return plan;
+    }
+
+    /**
+     * True unless the database is brand new (no memories table yet)
+     */
+    async hasData() {
+        const result = await this.db.query('SELECT COUNT(*) AS count FROM sqlite_master WHERE type = \'table\' AND name = \'memories\'');
+        return result.rows[0].count > 0;
+    }
+
+    /**
+     * <database>.v<version>-<time>.bak, numbered if that name is taken
+     */
+    backupPath(version) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+        const base = `${this.db.dbPath}.v${version}-${stamp}`;
+        let target = `${base}.bak`;
+        for (let n = 2; fs.existsSync(target); n++) {
+            target = `${base}-${n}.bak`;
+        }
+        return target;
+    }
+
+    /**
+     * Writes a consistent copy of the database (VACUUM INTO) and returns its path
+     */
+    async backup(version) {
+        const target = this.backupPath(version);
+        await this.db.query('VACUUM INTO ?', [target]);
+        return target;
+    }
+}
+
+SchemaMigrator.MIGRATIONS = MIGRATIONS;
+SchemaMigrator.LATEST_VERSION = LATEST_VERSION;
+
+module.exports = SchemaMigrator;
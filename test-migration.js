@@ -279,13 +279,7 @@ class MigrationTestSuite {
 
             // Run migration
             const DatabaseMigrator = require('./db-migrate');
-            const migrator = new DatabaseMigrator();
-
-            // Override target path
-            migrator.targetPath = process.env.DATABASE_PATH;
-
-            // Find databases
-            await migrator.initializeTargetDatabase();
+            const migrator = new DatabaseMigrator({ targetPath: process.env.DATABASE_PATH });
 
             // Manually add our test databases
             migrator.sourceDatabases = this.testDatabases
@@ -297,9 +291,7 @@ class MigrationTestSuite {
                 }));
 
             // Perform migration
-            for (const sourceDb of migrator.sourceDatabases) {
-                await migrator.migrateDatabase(sourceDb);
-            }
+            await migrator.merge(migrator.sourceDatabases);
 
             // Verify migration results
             await this.verifyMigration(migrator.targetPath, expectedTotal);
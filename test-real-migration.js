@@ -51,11 +51,7 @@ async function testRealMigration() {
 
     // Create test migrator
     const DatabaseMigrator = require('./db-migrate');
-    const migrator = new DatabaseMigrator();
-    migrator.targetPath = testTargetPath;
-
-    // Initialize target
-    await migrator.initializeTargetDatabase();
+    const migrator = new DatabaseMigrator({ targetPath: testTargetPath });
 
     // Test each database
     let migratedTotal = 0;
@@ -77,7 +73,7 @@ async function testRealMigration() {
         });
 
         // Simulate migration
-        await migrator.migrateDatabase(db);
+        await migrator.merge([db]);
         migratedTotal += db.recordCount;
     }
 
@@ -0,0 +1,43 @@
+/**
+ * ULID - Universally Unique Lexicographically Sortable Identifiers
+ *
+ * Memory IDs: 26 characters of Crockford base32, a 48-bit millisecond
+ * timestamp followed by 80 random bits, so IDs sort by creation time.
+ */
+
+const crypto = require('crypto');
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ULID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/;
+
+function encodeTime(time) {
+    let output = '';
+    for (let i = 0; i < 10; i++) {
+        output = ALPHABET[time % 32] + output;
+        time = Math.floor(time / 32);
+    }
+    return output;
+}
+
+function encodeRandom() {
+    // 256 is a multiple of 32, so the modulo is unbiased
+    const bytes = crypto.randomBytes(16);
+    let output = '';
+    for (const byte of bytes) {
+        output += ALPHABET[byte % 32];
+    }
+    return output;
+}
+
+/**
+ * Generate a ULID, optionally for a past time (epoch ms)
+ */
+function ulid(time = Date.now()) {
+    return encodeTime(Math.max(0, Math.floor(time))) + encodeRandom();
+}
+
+function isUlid(value) {
+    return typeof value === 'string' && ULID_PATTERN.test(value.toUpperCase());
+}
+
+module.exports = { ulid, isUlid };
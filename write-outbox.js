@@ -0,0 +1,179 @@
+/**
+ * Write Outbox - Durable retry queue for memory writes
+ *
+ * When the database stays locked (SQLITE_BUSY) after the inline retries,
+ * store_memory hands the write to the outbox instead of dropping it. Entries
+ * are appended to a JSONL file next to the database so they survive a
+ * restart, and are retried in the background until they land. Writes are
+ * keyed by the memory's ULID, so replaying one is idempotent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TRANSIENT_CODES = ['SQLITE_BUSY', 'SQLITE_LOCKED'];
+
+class WriteOutbox {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - JSONL file holding pending writes
+     * @param {Function} options.write - async (entry) => result; throws on failure
+     * @param {Function} options.onWritten - Called with (entry, result) after a queued write lands
+     * @param {Object} options.logger - Durandal logger
+     * @param {number} options.retryInterval - Background retry interval in ms (default: 5000)
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+        this.write = options.write;
+        this.onWritten = options.onWritten || (() => {});
+        this.logger = options.logger;
+        this.retryInterval = options.retryInterval || 5000;
+
+        // uid -> { uid, content, metadata, queued_at, attempts }
+        this.entries = new Map();
+        this.timer = null;
+        this.flushing = null;
+
+        this.load();
+    }
+
+    static isTransientError(error) {
+        if (!error) {
+            return false;
+        }
+        return TRANSIENT_CODES.includes(error.code) || /SQLITE_(BUSY|LOCKED)|database is locked/i.test(error.message || '');
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(uid) {
+        return this.entries.has(uid);
+    }
+
+    /**
+     * Loads writes left over from a previous run
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                this.entries.set(entry.uid, entry);
+            } catch (error) {
+                this.logger.warn('Skipping unreadable outbox entry', { file: this.filePath, error: error.message });
+            }
+        }
+
+        if (this.entries.size > 0) {
+            this.logger.info('Recovered queued memory writes', { pending: this.entries.size });
+            this.schedule();
+        }
+    }
+
+    enqueue(entry) {
+        this.entries.set(entry.uid, {
+            ...entry,
+            queued_at: entry.queued_at || new Date().toISOString(),
+            attempts: entry.attempts || 0
+        });
+        this.persist();
+        this.schedule();
+    }
+
+    /**
+     * Retries every pending write once. Stops at the first transient failure
+     * (the database is still busy); permanent failures are moved to a
+     * .failed file so they can be inspected instead of retried forever.
+     */
+    async flush() {
+        if (this.flushing) {
+            return await this.flushing;
+        }
+
+        this.flushing = (async () => {
+            let written = 0;
+
+            for (const entry of [...this.entries.values()]) {
+                try {
+                    const result = await this.write(entry);
+                    this.entries.delete(entry.uid);
+                    written++;
+                    this.onWritten(entry, result);
+                } catch (error) {
+                    entry.attempts++;
+
+                    if (WriteOutbox.isTransientError(error)) {
+                        this.logger.debug('Queued write still blocked', { uid: entry.uid, attempts: entry.attempts });
+                        break;
+                    }
+
+                    this.logger.error('Queued memory write failed permanently', { uid: entry.uid, error: error.message });
+                    this.entries.delete(entry.uid);
+                    fs.appendFileSync(`${this.filePath}.failed`, JSON.stringify({ ...entry, error: error.message }) + '\n');
+                }
+            }
+
+            this.persist();
+            if (written > 0) {
+                this.logger.info('Flushed queued memory writes', { written, pending: this.entries.size });
+            }
+            return { written, pending: this.entries.size };
+        })();
+
+        try {
+            return await this.flushing;
+        } finally {
+            this.flushing = null;
+            this.schedule();
+        }
+    }
+
+    schedule() {
+        if (this.entries.size === 0) {
+            clearInterval(this.timer);
+            this.timer = null;
+            return;
+        }
+
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.flush().catch(error => {
+                    this.logger.warn('Outbox flush failed', { error: error.message });
+                });
+            }, this.retryInterval);
+            this.timer.unref();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Rewrites the outbox file (atomically, via rename), or removes it when empty
+     */
+    persist() {
+        if (this.entries.size === 0) {
+            if (fs.existsSync(this.filePath)) {
+                fs.unlinkSync(this.filePath);
+            }
+            return;
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        const lines = [...this.entries.values()].map(entry => JSON.stringify(entry));
+        fs.writeFileSync(tmpPath, lines.join('\n') + '\n');
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+module.exports = WriteOutbox;